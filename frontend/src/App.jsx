@@ -1,18 +1,24 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import GameBoard from './components/GameBoard/GameBoard'
 import Header from './components/Header/Header'
+import { detectLocale } from './i18n'
 import './App.css'
 
 function App() {
+  const [locale, setLocale] = useState(detectLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
   return (
     <div className="app">
-      <Header />
+      <Header locale={locale} onLocaleChange={setLocale} />
       <main className="main-content">
-        <GameBoard />
+        <GameBoard locale={locale} />
       </main>
     </div>
   )
 }
 
 export default App
-
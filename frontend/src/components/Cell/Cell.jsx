@@ -1,6 +1,11 @@
-import React, { useState } from 'react'
+import React, { useState, useRef } from 'react'
+import { getTranslator } from '../../i18n'
 import './Cell.css'
 
+// Neighbouring cell on each side, as [dRow, dCol]
+const SIDE_OFFSETS = { top: [-1, 0], right: [0, 1], bottom: [1, 0], left: [0, -1] }
+const LONG_PRESS_MS = 500
+
 function Cell({ 
   value, 
   onClick, 
@@ -14,9 +19,48 @@ function Cell({
   isLocked,
   isHighlighted,
   isResultCell,
-  isAffectedCell
+  isGroupResult,
+  isAffectedCell,
+  isConflict,
+  isCursor,
+  onFocus,
+  isEdgeEditing,
+  onEdgeCycle,
+  dropTarget,
+  locale
 }) {
+  const t = getTranslator(locale)
   const [hoveredEdge, setHoveredEdge] = useState(null)
+  const longPressTimerRef = useRef(null)
+  const longPressFiredRef = useRef(false)
+
+  const describePosition = (r, c) => t('a11y.position', { row: r + 1, col: c + 1 })
+
+  // Constraint type ('equals', 'notEquals' or null) between this cell and its neighbour on a side
+  const getConstraintToward = (side) => {
+    const [dRow, dCol] = SIDE_OFFSETS[side]
+    const [first, second] = dRow + dCol > 0
+      ? [[row, col], [row + dRow, col + dCol]]
+      : [[row + dRow, col + dCol], [row, col]]
+    const isEdge = ([r1, c1, r2, c2]) => r1 === first[0] && c1 === first[1] && r2 === second[0] && c2 === second[1]
+    if (constraints.equals.some(isEdge)) return 'equals'
+    if (constraints.notEquals.some(isEdge)) return 'notEquals'
+    return null
+  }
+
+  // What a screen reader says for the cell, e.g. "row 2 column 5, moon, locked, same as the cell below"
+  const getLabel = () => {
+    const parts = [
+      t('a11y.cell', { position: describePosition(row, col), value: value ? t(`symbol.${value}`) : t('a11y.empty') }),
+      isLocked && t('a11y.locked'),
+      isConflict && t('a11y.conflict'),
+      ...Object.keys(SIDE_OFFSETS).map(side => {
+        const type = getConstraintToward(side)
+        return type && t(`a11y.edge.${type}`, { side: t(`a11y.side.${side}`) })
+      })
+    ]
+    return parts.filter(Boolean).join(', ')
+  }
 
   const getSymbol = () => {
     if (value === 'sun') return '☀️'
@@ -82,19 +126,57 @@ function Cell({
     const constraintType = e.dataTransfer.getData('constraintType')
     if (!constraintType) return
 
-    let edgeData = null
-    if (edge === 'right' && col < gridSize - 1) {
-      edgeData = { row1: row, col1: col, row2: row, col2: col + 1 }
+    const edgeData = getEdgeData(edge)
+    if (edgeData && onEdgeDrop) {
+      onEdgeDrop(edgeData, constraintType)
+    }
+  }
+
+  // The cells an edge lies between, first cell above or left of the second,
+  // or null for an edge on the border of the grid
+  const getEdgeData = (edge) => {
+    if (edge === 'right' && col < gridSize.cols - 1) {
+      return { row1: row, col1: col, row2: row, col2: col + 1 }
     } else if (edge === 'left' && col > 0) {
-      edgeData = { row1: row, col1: col - 1, row2: row, col2: col }
-    } else if (edge === 'bottom' && row < gridSize - 1) {
-      edgeData = { row1: row, col1: col, row2: row + 1, col2: col }
+      return { row1: row, col1: col - 1, row2: row, col2: col }
+    } else if (edge === 'bottom' && row < gridSize.rows - 1) {
+      return { row1: row, col1: col, row2: row + 1, col2: col }
     } else if (edge === 'top' && row > 0) {
-      edgeData = { row1: row - 1, col1: col, row2: row, col2: col }
+      return { row1: row - 1, col1: col, row2: row, col2: col }
+    }
+    return null
+  }
+
+  // Pressing and holding a constraint removes it, for touch screens where a tap cycles it
+  const handleEdgePointerDown = (edge) => {
+    const constraint = getEdgeConstraint(edge)
+    longPressFiredRef.current = false
+    if (!constraint || !onConstraintRemove) return
+
+    longPressTimerRef.current = setTimeout(() => {
+      longPressFiredRef.current = true
+      onConstraintRemove(constraint.edge)
+    }, LONG_PRESS_MS)
+  }
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressTimerRef.current)
+  }
+
+  const handleEdgeClick = (e, edge) => {
+    // The click that ends a long press has already been handled
+    if (longPressFiredRef.current) {
+      longPressFiredRef.current = false
+      e.stopPropagation()
+      return
     }
 
-    if (edgeData && onEdgeDrop) {
-      onEdgeDrop(edgeData, constraintType)
+    const edgeData = getEdgeData(edge)
+    if (isEdgeEditing && edgeData && onEdgeCycle) {
+      e.stopPropagation()
+      onEdgeCycle(edgeData)
+    } else if (getEdgeConstraint(edge)) {
+      handleConstraintClick(e, edge)
     }
   }
 
@@ -108,29 +190,41 @@ function Cell({
 
   const renderEdge = (edge) => {
     const constraint = getEdgeConstraint(edge)
-    const isHovered = hoveredEdge === edge
-    const canDrop = draggingConstraint && (
-      (edge === 'right' && col < gridSize - 1) ||
-      (edge === 'left' && col > 0) ||
-      (edge === 'bottom' && row < gridSize - 1) ||
-      (edge === 'top' && row > 0)
-    )
+    const edgeData = getEdgeData(edge)
+    // Hovered by a mouse drag, or under the finger of a touch drag from the toolbar
+    const isHovered = hoveredEdge === edge || Boolean(dropTarget && edgeData &&
+      ['row1', 'col1', 'row2', 'col2'].every(key => dropTarget[key] === edgeData[key]))
+    const canDrop = draggingConstraint && Boolean(edgeData)
 
     return (
       <div
-        className={`edge edge-${edge} ${isHovered && canDrop ? 'edge-hover' : ''} ${constraint ? 'edge-has-constraint' : ''}`}
+        className={`edge edge-${edge} ${isHovered && canDrop ? 'edge-hover' : ''} ${constraint ? 'edge-has-constraint' : ''} ${isEdgeEditing && edgeData ? 'edge-editable' : ''}`}
+        data-edge={edgeData ? [edgeData.row1, edgeData.col1, edgeData.row2, edgeData.col2].join(',') : undefined}
         onDragOver={(e) => handleEdgeDragOver(e, edge)}
         onDragLeave={handleEdgeDragLeave}
         onDrop={(e) => handleEdgeDrop(e, edge)}
-        onClick={(e) => constraint && handleConstraintClick(e, edge)}
+        onClick={(e) => handleEdgeClick(e, edge)}
+        onPointerDown={() => handleEdgePointerDown(edge)}
+        onPointerUp={cancelLongPress}
+        onPointerLeave={cancelLongPress}
+        onPointerCancel={cancelLongPress}
+        onContextMenu={(e) => constraint && e.preventDefault()}
       >
         {constraint && (
-          <span className={`edge-constraint edge-constraint-${constraint.type} edge-constraint-${edge}`}>
+          <span
+            className={`edge-constraint edge-constraint-${constraint.type} edge-constraint-${edge}`}
+            role="img"
+            aria-label={t('a11y.constraint', {
+              type: t(`a11y.constraint.${constraint.type}`),
+              from: describePosition(constraint.edge.row1, constraint.edge.col1),
+              to: describePosition(constraint.edge.row2, constraint.edge.col2)
+            })}
+          >
             {constraint.type === 'equals' ? '=' : '×'}
           </span>
         )}
         {isHovered && canDrop && (
-          <span className="edge-drop-indicator">
+          <span className="edge-drop-indicator" aria-hidden="true">
             {draggingConstraint === 'equals' ? '=' : '×'}
           </span>
         )}
@@ -144,15 +238,25 @@ function Cell({
     isLocked ? 'cell-locked' : '',
     isHighlighted ? 'cell-highlighted' : '',
     isResultCell ? 'cell-result' : '',
-    isAffectedCell ? 'cell-affected' : ''
+    isGroupResult ? 'cell-result-group' : '',
+    isAffectedCell ? 'cell-affected' : '',
+    isConflict ? 'cell-conflict' : ''
   ].filter(Boolean).join(' ')
 
   return (
     <div 
       className={cellClasses}
       onClick={onClick}
+      onFocus={onFocus}
+      tabIndex={isCursor ? 0 : -1}
+      data-row={row}
+      data-col={col}
+      role="gridcell"
+      aria-label={getLabel()}
+      aria-readonly={isLocked || undefined}
+      aria-invalid={isConflict || undefined}
     >
-      <span className="cell-symbol">{getSymbol()}</span>
+      <span className="cell-symbol" aria-hidden="true">{getSymbol()}</span>
       
       {/* Edge drop zones */}
       {renderEdge('top')}
@@ -1,7 +1,23 @@
-import React from 'react'
+import React, { useState } from 'react'
+import { getTranslator } from '../../i18n'
 import './ConstraintToolbar.css'
 
-function ConstraintToolbar({ onDragStart, onDragEnd }) {
+const CONSTRAINT_SYMBOLS = { equals: '=', notEquals: '×' }
+
+// The edge under a point of the screen, from the data-edge attribute Cell puts on its edges
+function findEdgeAt(x, y) {
+  const element = document.elementFromPoint(x, y)
+  const edgeElement = element && element.closest('[data-edge]')
+  if (!edgeElement) return null
+
+  const [row1, col1, row2, col2] = edgeElement.dataset.edge.split(',').map(Number)
+  return { row1, col1, row2, col2 }
+}
+
+function ConstraintToolbar({ onDragStart, onDragEnd, onDropTargetChange, onDrop, isEdgeEditing, onToggleEdgeEditing, locale }) {
+  const t = getTranslator(locale)
+  const [pointerDrag, setPointerDrag] = useState(null) // { type, x, y, target } while dragged by touch or pen
+
   const handleDragStart = (e, type) => {
     e.dataTransfer.effectAllowed = 'copy'
     e.dataTransfer.setData('constraintType', type)
@@ -12,32 +28,77 @@ function ConstraintToolbar({ onDragStart, onDragEnd }) {
     onDragEnd()
   }
 
+  // Touch and pen drags use pointer events: mobile browsers do not fire HTML5 drag events.
+  // The mouse keeps the native drag above.
+  const handlePointerDown = (e, type) => {
+    if (e.pointerType === 'mouse') return
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setPointerDrag({ type, x: e.clientX, y: e.clientY, target: null })
+    onDragStart(type)
+  }
+
+  const handlePointerMove = (e) => {
+    if (!pointerDrag) return
+    const target = findEdgeAt(e.clientX, e.clientY)
+    setPointerDrag({ ...pointerDrag, x: e.clientX, y: e.clientY, target })
+    onDropTargetChange(target)
+  }
+
+  const handlePointerUp = (e) => {
+    if (!pointerDrag) return
+    const target = findEdgeAt(e.clientX, e.clientY)
+    if (target) onDrop(target, pointerDrag.type)
+    handlePointerCancel()
+  }
+
+  const handlePointerCancel = () => {
+    if (!pointerDrag) return
+    setPointerDrag(null)
+    onDropTargetChange(null)
+    onDragEnd()
+  }
+
+  const renderItem = (type, className, label) => (
+    <div
+      className={`constraint-item ${className} ${pointerDrag && pointerDrag.type === type ? 'constraint-item-dragging' : ''}`}
+      draggable
+      onDragStart={(e) => handleDragStart(e, type)}
+      onDragEnd={handleDragEnd}
+      onPointerDown={(e) => handlePointerDown(e, type)}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+    >
+      <span className="constraint-symbol">{CONSTRAINT_SYMBOLS[type]}</span>
+      <span className="constraint-label">{label}</span>
+    </div>
+  )
+
   return (
     <div className="constraint-toolbar">
-      <h3 className="toolbar-title">Constraints</h3>
+      <h3 className="toolbar-title">{t('toolbar.title')}</h3>
       <div className="toolbar-items">
-        <div 
-          className="constraint-item constraint-equals"
-          draggable
-          onDragStart={(e) => handleDragStart(e, 'equals')}
-          onDragEnd={handleDragEnd}
+        {renderItem('equals', 'constraint-equals', t('toolbar.equals'))}
+        {renderItem('notEquals', 'constraint-not-equals', t('toolbar.not-equals'))}
+        <button
+          className={`toolbar-edit-toggle ${isEdgeEditing ? 'toolbar-edit-toggle-active' : ''}`}
+          onClick={onToggleEdgeEditing}
+          aria-pressed={isEdgeEditing}
         >
-          <span className="constraint-symbol">=</span>
-          <span className="constraint-label">Same</span>
-        </div>
-        <div 
-          className="constraint-item constraint-not-equals"
-          draggable
-          onDragStart={(e) => handleDragStart(e, 'notEquals')}
-          onDragEnd={handleDragEnd}
-        >
-          <span className="constraint-symbol">×</span>
-          <span className="constraint-label">Different</span>
-        </div>
+          {t('toolbar.tap-edges')}
+        </button>
       </div>
+      {isEdgeEditing && (
+        <p className="toolbar-hint">{t('toolbar.tap-edges-hint')}</p>
+      )}
+      {pointerDrag && (
+        <div className="constraint-drag-ghost" style={{ left: pointerDrag.x, top: pointerDrag.y }} aria-hidden="true">
+          {CONSTRAINT_SYMBOLS[pointerDrag.type]}
+        </div>
+      )}
     </div>
   )
 }
 
 export default ConstraintToolbar
-
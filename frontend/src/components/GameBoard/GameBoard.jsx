@@ -2,39 +2,106 @@ import React, { useState, useRef, useEffect } from 'react'
 import Cell from '../Cell/Cell'
 import ConstraintToolbar from '../ConstraintToolbar/ConstraintToolbar'
 import StepHistoryPanel from '../StepHistoryPanel/StepHistoryPanel'
+import RuleSettingsPanel from '../RuleSettingsPanel/RuleSettingsPanel'
+import PuzzleGenerator from '../PuzzleGenerator/PuzzleGenerator'
+import GridSizeSelector from '../GridSizeSelector/GridSizeSelector'
+import RulesetSelector from '../RulesetSelector/RulesetSelector'
+import PuzzleLibrary from '../PuzzleLibrary/PuzzleLibrary'
 import Confetti from '../Confetti/Confetti'
-import { checkWin } from '../../utils/gameLogic'
+import { checkWin, findConflicts } from '../../utils/gameLogic'
 import { validateStartingPosition } from '../../utils/validator'
-import { solvePuzzle, solvePuzzleStepByStep, getNextStep } from '../../utils/solver'
+import { gradePuzzle } from '../../utils/grader'
+import { generatePuzzle } from '../../utils/generator'
+import { findHint, HINT_LEVELS } from '../../utils/hints'
+import { DEFAULT_RULESET } from '../../utils/ruleset'
+import { solvePuzzleStepByStep, getNextStep, countSolutions, getRegisteredRules } from '../../utils/solver'
+import { formatError, formatViolation, formatStepName, formatStepExplanation } from '../../utils/explanations'
+import { importPuzzle, exportPuzzleText, exportPuzzleJSON } from '../../utils/puzzleFormat'
+import { downloadFile } from '../../utils/download'
+import { buildShareHash, parseShareHash } from '../../utils/shareLink'
+import { loadLibrary, addLibraryEntry, updateLibraryEntry, deleteLibraryEntry, loadCurrentBoard, saveCurrentBoard, clearCurrentBoard } from '../../utils/puzzleLibrary'
+import { getTranslator } from '../../i18n'
 import './GameBoard.css'
 
-const GRID_SIZE = 6
+const DEFAULT_GRID_SIZE = 6
+const HISTORY_LIMIT = 100 // Undo steps kept
 
-function GameBoard() {
+// Keyboard input on the board (see handleBoardKeyDown)
+const ARROW_DIRECTIONS = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }
+const SYMBOL_KEYS = { s: 'sun', 1: 'sun', m: 'moon', 2: 'moon', 0: null, '.': null, Backspace: null, Delete: null }
+const EDGE_MARK_KEYS = { '=': 'equals', x: 'notEquals', '-': 'none' }
+const EDGE_CYCLE = [null, 'equals', 'notEquals']
+
+function GameBoard({ locale }) {
+  const t = getTranslator(locale)
   const [grid, setGrid] = useState(() =>
-    Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(null))
+    Array(DEFAULT_GRID_SIZE).fill(null).map(() => Array(DEFAULT_GRID_SIZE).fill(null))
   )
   const [constraints, setConstraints] = useState({ equals: [], notEquals: [] })
   const [isComplete, setIsComplete] = useState(false)
   const [draggingConstraint, setDraggingConstraint] = useState(null)
-  const [validationError, setValidationError] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null) // Edge under a touch drag from the toolbar
+  // Tapping an edge cycles its constraint; on by default where the pointer is a finger
+  const [isEdgeEditing, setIsEdgeEditing] = useState(() => window.matchMedia('(pointer: coarse)').matches)
+  const [validationError, setValidationError] = useState(null) // { key, params } of the message to show
+  const [validationResult, setValidationResult] = useState(null)
   const [isSolving, setIsSolving] = useState(false)
   const [lockedCells, setLockedCells] = useState(() =>
-    Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false))
+    Array(DEFAULT_GRID_SIZE).fill(null).map(() => Array(DEFAULT_GRID_SIZE).fill(false))
   )
   const [stepByStepMode, setStepByStepMode] = useState(false)
   const [currentStep, setCurrentStep] = useState(null)
   const [highlightedCells, setHighlightedCells] = useState(new Set())
-  const [solvingExplanation, setSolvingExplanation] = useState(null)
+  const [explainedStep, setExplainedStep] = useState(null) // Step whose explanation is shown below the board
   const [allSteps, setAllSteps] = useState([])
   const [viewingStepIndex, setViewingStepIndex] = useState(null)
   const [isViewingHistory, setIsViewingHistory] = useState(false)
   const [initialGrid, setInitialGrid] = useState(null)
   const [latestGrid, setLatestGrid] = useState(null)
   const [showConfetti, setShowConfetti] = useState(false)
+  const [uniquenessResult, setUniquenessResult] = useState(null)
+  const [puzzleGrade, setPuzzleGrade] = useState(null)
+  const [solverSettings, setSolverSettings] = useState({ disabledRules: [], allowGuessing: true, groupSteps: false })
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [hint, setHint] = useState(null)
+  const [ruleset, setRuleset] = useState(DEFAULT_RULESET)
+  const [puzzleDetails, setPuzzleDetails] = useState({ solution: null, metadata: {} }) // Saved with the puzzle on export
+  const [isLinkCopied, setIsLinkCopied] = useState(false)
+  const [libraryEntries, setLibraryEntries] = useState(loadLibrary)
+  const [libraryEntryId, setLibraryEntryId] = useState(null) // Library entry the board was opened from or saved as
+  const [history, setHistory] = useState({ past: [], future: [] }) // Board snapshots for undo and redo
+  const [cursor, setCursor] = useState({ row: 0, col: 0 }) // Cell that takes keyboard input
+  const [pendingEdgeMark, setPendingEdgeMark] = useState(null) // 'equals', 'notEquals' or 'none', waiting for an arrow key
   const prevIsCompleteRef = useRef(false)
+  const importInputRef = useRef(null)
+  const hasSyncedHashRef = useRef(false)
   const boardRef = useRef(null)
   const stepHistoryWrapperRef = useRef(null)
+  const gridSize = { rows: grid.length, cols: grid[0].length }
+  const activeCell = { row: Math.min(cursor.row, gridSize.rows - 1), col: Math.min(cursor.col, gridSize.cols - 1) }
+
+  const solverOptions = { ...solverSettings, ruleset }
+
+  // Uniqueness, grade, hint and validation results only describe the puzzle (and ruleset) they were computed for
+  const isCurrentPuzzle = (result) => result && result.grid === grid && result.constraints === constraints && result.ruleset === ruleset
+  const currentUniqueness = isCurrentPuzzle(uniquenessResult) ? uniquenessResult : null
+  const currentGrade = isCurrentPuzzle(puzzleGrade) ? puzzleGrade : null
+  const currentHint = isCurrentPuzzle(hint) ? hint : null
+  const validationErrors = isCurrentPuzzle(validationResult) ? validationResult.errors : []
+
+  // Every edit is checked live so mistakes show up before solving
+  const conflicts = findConflicts(grid, constraints, ruleset)
+  const conflictCells = new Set([...conflicts, ...validationErrors].flatMap(error =>
+    error.cells.map(([r, c]) => `${r},${c}`)
+  ))
+  const hasError = Boolean(validationError) || validationErrors.length > 0
+  const isEmptyBoard = grid.every(row => row.every(cell => cell === null)) &&
+    constraints.equals.length === 0 && constraints.notEquals.length === 0
+
+  const clearValidationErrors = () => {
+    setValidationError(null)
+    setValidationResult(null)
+  }
 
   // Match step history panel height to board height
   useEffect(() => {
@@ -60,6 +127,58 @@ function GameBoard() {
     }
   }, [grid, allSteps.length, isViewingHistory])
 
+  // On load, resume the board saved before the page was closed, unless the address
+  // points at a different board (a shared link).
+  useEffect(() => {
+    const savedBoard = loadCurrentBoard()
+    if (savedBoard && (!window.location.hash || savedBoard.hash === window.location.hash)) {
+      resumeBoard(savedBoard)
+    } else {
+      restoreFromHash()
+    }
+  }, [])
+
+  // Open links pasted while the page is in use. Unlike the link the page opened with,
+  // they replace a board the player may want back, so they can be undone.
+  useEffect(() => {
+    const handleHashChange = () => restoreFromHash(window.location.hash, { undoable: true })
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  })
+
+  // Keep the URL hash pointing at the board on screen, so the address can be shared,
+  // and save the board so it can be resumed after a reload.
+  // The first run is skipped: the hash then still holds the link being opened.
+  useEffect(() => {
+    if (!hasSyncedHashRef.current) {
+      hasSyncedHashRef.current = true
+      return
+    }
+
+    const puzzleGrid = allSteps.length > 0 ? allSteps[0].gridStateBefore : grid
+    const isEmpty = puzzleGrid.every(row => row.every(cell => cell === null)) &&
+      constraints.equals.length === 0 && constraints.notEquals.length === 0
+    const step = allSteps.length === 0 ? null : (isViewingHistory ? viewingStepIndex : allSteps.length - 1)
+    const hash = isEmpty ? '' : `#${buildShareHash({ grid: puzzleGrid, constraints, ruleset }, step, solverSettings)}`
+
+    if (hash !== window.location.hash) {
+      window.history.replaceState(null, '', hash || window.location.pathname + window.location.search)
+    }
+
+    // While a solve is shown, the board to come back to is the one at its end
+    const boardGrid = allSteps.length > 0 ? allSteps[allSteps.length - 1].gridStateAfter : grid
+    saveCurrentBoard({ grid: boardGrid, lockedCells, constraints, ruleset, puzzleDetails, libraryEntryId, hash })
+
+    // Only write when the progress changed, so browsing the history or changing
+    // settings keeps the entry's "saved at" date
+    const entry = libraryEntryId && libraryEntries.find(candidate => candidate.id === libraryEntryId)
+    const solved = Boolean(entry?.solved) || isComplete
+    if (entry && (solved !== entry.solved || JSON.stringify(boardGrid) !== JSON.stringify(entry.progress))) {
+      updateLibraryEntry(libraryEntryId, { progress: boardGrid, solved })
+      setLibraryEntries(loadLibrary())
+    }
+  }, [grid, constraints, ruleset, allSteps, isViewingHistory, viewingStepIndex, solverSettings, lockedCells, puzzleDetails, libraryEntryId, isComplete])
+
   // Trigger confetti animation when puzzle is completed
   useEffect(() => {
     if (isComplete && !prevIsCompleteRef.current) {
@@ -72,25 +191,213 @@ function GameBoard() {
     prevIsCompleteRef.current = isComplete
   }, [isComplete])
 
-  const handleCellClick = (row, col) => {
-    if (lockedCells[row][col]) {
+  // Page-wide shortcuts: Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes, Ctrl+Enter solves
+  // (Cmd on macOS), N takes the next step and Esc stops. Text fields keep their own keys,
+  // and keys the board has already handled are skipped.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey) return
+      if (e.target instanceof Element && e.target.closest('input, textarea, select')) return
+
+      const key = e.key.toLowerCase()
+      if (e.ctrlKey || e.metaKey) {
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault()
+          handleUndo()
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault()
+          handleRedo()
+        } else if (key === 'enter') {
+          e.preventDefault()
+          if (!stepByStepMode && !isSolving) handleSolve()
+        }
+        return
+      }
+
+      if (key === 'n') {
+        e.preventDefault()
+        if (stepByStepMode) {
+          handleNextStep()
+        } else if (!isSolving) {
+          handleSolveStepByStep()
+        }
+      } else if (key === 'escape') {
+        if (stepByStepMode) {
+          handleStopStepByStep()
+        } else if (isViewingHistory) {
+          handleExitHistoryView()
+        }
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  // The board as undo and redo bring it back. During a solve the grid on screen may be an
+  // earlier step, so the board kept is the one at the end of the solve.
+  const takeSnapshot = () => ({
+    grid: allSteps.length > 0 ? allSteps[allSteps.length - 1].gridStateAfter : grid,
+    constraints,
+    lockedCells,
+    ruleset,
+    allSteps,
+    puzzleDetails,
+    libraryEntryId
+  })
+
+  // Call before a change to the board, so it can be undone
+  const recordHistory = (snapshot = takeSnapshot()) => {
+    setHistory(prev => ({ past: [...prev.past, snapshot].slice(-HISTORY_LIMIT), future: [] }))
+  }
+
+  const restoreSnapshot = (snapshot) => {
+    const steps = snapshot.allSteps
+    clearValidationErrors()
+    setGrid(snapshot.grid)
+    setConstraints(snapshot.constraints)
+    setLockedCells(snapshot.lockedCells)
+    setRuleset(snapshot.ruleset)
+    setAllSteps(steps)
+    // Undoing a step keeps step-by-step mode going, but undo never starts it again
+    setStepByStepMode(stepByStepMode && steps.length > 0)
+    setInitialGrid(steps.length > 0 ? steps[0].gridStateBefore : null)
+    setLatestGrid(steps.length > 0 ? steps[steps.length - 1].gridStateAfter : null)
+    setIsViewingHistory(false)
+    setViewingStepIndex(null)
+    setCurrentStep(null)
+    setHighlightedCells(new Set())
+    setExplainedStep(null)
+    setPuzzleDetails(snapshot.puzzleDetails)
+    setLibraryEntryId(snapshot.libraryEntryId)
+    setIsComplete(checkWin(snapshot.grid, { rows: snapshot.grid.length, cols: snapshot.grid[0].length }, snapshot.ruleset))
+  }
+
+  const handleUndo = () => {
+    if (history.past.length === 0 || isSolving || isGenerating) return
+    const previous = history.past[history.past.length - 1]
+    setHistory({ past: history.past.slice(0, -1), future: [takeSnapshot(), ...history.future] })
+    restoreSnapshot(previous)
+  }
+
+  const handleRedo = () => {
+    if (history.future.length === 0 || isSolving || isGenerating) return
+    const [next, ...future] = history.future
+    setHistory({ past: [...history.past, takeSnapshot()], future })
+    restoreSnapshot(next)
+  }
+
+  const setCellValue = (row, col, value) => {
+    if (lockedCells[row][col] || grid[row][col] === value) {
       return
     }
 
+    recordHistory()
     const newGrid = grid.map(r => [...r])
-    const currentValue = newGrid[row][col]
+    newGrid[row][col] = value
+    setGrid(newGrid)
+    setIsComplete(checkWin(newGrid, gridSize, ruleset))
+  }
+
+  const handleCellClick = (row, col) => {
+    const currentValue = grid[row][col]
 
     // Cycle through: empty -> sun -> moon -> empty
     if (currentValue === null) {
-      newGrid[row][col] = 'sun'
+      setCellValue(row, col, 'sun')
     } else if (currentValue === 'sun') {
-      newGrid[row][col] = 'moon'
+      setCellValue(row, col, 'moon')
     } else {
-      newGrid[row][col] = null
+      setCellValue(row, col, null)
     }
+  }
 
-    setGrid(newGrid)
-    setIsComplete(checkWin(newGrid, GRID_SIZE))
+  // The edge between a cell and its neighbour in a direction ([dRow, dCol]), with the
+  // first cell above or left of the second, or null at the border of the grid
+  const getEdgeToward = ({ row, col }, [dRow, dCol]) => {
+    const row2 = row + dRow
+    const col2 = col + dCol
+    if (row2 < 0 || row2 >= gridSize.rows || col2 < 0 || col2 >= gridSize.cols) return null
+    return dRow + dCol > 0
+      ? { row1: row, col1: col, row2, col2 }
+      : { row1: row2, col1: col2, row2: row, col2: col }
+  }
+
+  // Constraint type on an edge: 'equals', 'notEquals' or null
+  const getEdgeType = ({ row1, col1, row2, col2 }) => {
+    const isEdge = c => c[0] === row1 && c[1] === col1 && c[2] === row2 && c[3] === col2
+    if (constraints.equals.some(isEdge)) return 'equals'
+    if (constraints.notEquals.some(isEdge)) return 'notEquals'
+    return null
+  }
+
+  const setEdgeType = (edge, type) => {
+    if (getEdgeType(edge) === type) return
+    if (type) {
+      handleEdgeDrop(edge, type)
+    } else {
+      handleConstraintRemove(edge)
+    }
+  }
+
+  // none -> equals -> not-equals -> none
+  const handleEdgeCycle = (edge) => {
+    setEdgeType(edge, EDGE_CYCLE[(EDGE_CYCLE.indexOf(getEdgeType(edge)) + 1) % EDGE_CYCLE.length])
+  }
+
+  const focusCell = (row, col) => {
+    const cell = boardRef.current.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`)
+    if (cell) cell.focus()
+  }
+
+  // Keys on the focused cell: arrows move, S/1 and M/2 place a symbol, 0, . or Backspace
+  // clear it, Space or Enter cycle it like a click. Shift+arrow cycles the constraint on that
+  // side; =, x or - followed by an arrow puts an equals, a not-equals or nothing there.
+  const handleBoardKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return
+    const { row, col } = activeCell
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key
+    const direction = ARROW_DIRECTIONS[key]
+
+    if (direction) {
+      e.preventDefault()
+      if (e.shiftKey || pendingEdgeMark) {
+        const edge = getEdgeToward(activeCell, direction)
+        if (edge && pendingEdgeMark) {
+          setEdgeType(edge, pendingEdgeMark === 'none' ? null : pendingEdgeMark)
+        } else if (edge) {
+          handleEdgeCycle(edge)
+        }
+        setPendingEdgeMark(null)
+      } else {
+        focusCell(
+          Math.max(0, Math.min(gridSize.rows - 1, row + direction[0])),
+          Math.max(0, Math.min(gridSize.cols - 1, col + direction[1]))
+        )
+      }
+      return
+    }
+
+    if (key === 'Escape' && pendingEdgeMark) {
+      e.preventDefault()
+      setPendingEdgeMark(null)
+      return
+    }
+    if (key in EDGE_MARK_KEYS) {
+      e.preventDefault()
+      setPendingEdgeMark(EDGE_MARK_KEYS[key])
+      return
+    }
+    if (key === 'Shift') return
+
+    setPendingEdgeMark(null)
+    if (key in SYMBOL_KEYS) {
+      e.preventDefault()
+      setCellValue(row, col, SYMBOL_KEYS[key])
+    } else if (key === ' ' || key === 'Enter') {
+      e.preventDefault()
+      handleCellClick(row, col)
+    }
   }
 
   const handleEdgeDrop = (edge, constraintType) => {
@@ -111,6 +418,10 @@ function GameBoard() {
       }
     }
 
+    // Dropping the constraint the edge already has changes nothing
+    if (getEdgeType({ row1, col1, row2, col2 }) === constraintType) return
+    recordHistory()
+
     // Remove any existing constraint on this edge
     setConstraints(prev => ({
       equals: prev.equals.filter(c =>
@@ -139,6 +450,7 @@ function GameBoard() {
 
   const handleConstraintRemove = (edge) => {
     const { row1, col1, row2, col2 } = edge
+    recordHistory()
     setConstraints(prev => ({
       equals: prev.equals.filter(c =>
         !((c[0] === row1 && c[1] === col1 && c[2] === row2 && c[3] === col2) ||
@@ -151,42 +463,237 @@ function GameBoard() {
     }))
   }
 
-  const clearGrid = () => {
-    setGrid(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(null)))
+  // Reset the board to an empty grid, optionally switching to a new size ({ rows, cols })
+  const clearGrid = (size = gridSize) => {
+    setGrid(Array(size.rows).fill(null).map(() => Array(size.cols).fill(null)))
     setConstraints({ equals: [], notEquals: [] })
     setIsComplete(false)
-    setValidationError(null)
-    setLockedCells(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false)))
+    clearValidationErrors()
+    setLockedCells(Array(size.rows).fill(null).map(() => Array(size.cols).fill(false)))
     setStepByStepMode(false)
     setCurrentStep(null)
     setHighlightedCells(new Set())
-    setSolvingExplanation(null)
+    setExplainedStep(null)
     setAllSteps([])
     setViewingStepIndex(null)
     setIsViewingHistory(false)
     setInitialGrid(null)
     setLatestGrid(null)
+    setPuzzleDetails({ solution: null, metadata: {} })
+    setLibraryEntryId(null)
+  }
+
+  const handleClear = (size = gridSize) => {
+    recordHistory()
+    clearGrid(size)
+  }
+
+  const handleGenerate = (options) => {
+    setIsGenerating(true)
+    clearValidationErrors()
+
+    // Let the button show its generating state before the (blocking) search runs
+    setTimeout(() => {
+      try {
+        const puzzle = generatePuzzle({ ...options, ruleset })
+        recordHistory()
+        clearGrid()
+        setGrid(puzzle.grid)
+        setConstraints(puzzle.constraints)
+        setLockedCells(puzzle.grid.map(row => row.map(cell => cell !== null)))
+        setPuzzleGrade({ ...puzzle.grade, seed: puzzle.seed, grid: puzzle.grid, constraints: puzzle.constraints, ruleset })
+        setPuzzleDetails({ solution: puzzle.solution, metadata: { difficulty: puzzle.grade.label, seed: String(puzzle.seed) } })
+      } catch (error) {
+        setValidationError({ key: 'board.error-generating', params: { message: error.message } })
+      } finally {
+        setIsGenerating(false)
+      }
+    }, 0)
+  }
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    clearValidationErrors()
+    file.text()
+      .then(text => {
+        const puzzle = importPuzzle(text)
+        recordHistory()
+        clearGrid(puzzle.size)
+        setGrid(puzzle.grid)
+        setConstraints(puzzle.constraints)
+        setRuleset(puzzle.ruleset)
+        setLockedCells(puzzle.grid.map(row => row.map(cell => cell !== null)))
+        setPuzzleDetails({ solution: puzzle.solution, metadata: puzzle.metadata })
+      })
+      .catch(error => {
+        setValidationError({ key: 'board.error-import', params: { message: error.message } })
+      })
+  }
+
+  // The givens of the puzzle: the board before solving started, or the locked cells of a
+  // generated or opened puzzle without the player's own entries
+  const getGivens = () => {
+    if (allSteps.length > 0) return allSteps[0].gridStateBefore
+    if (lockedCells.some(row => row.some(Boolean))) {
+      return grid.map((row, r) => row.map((value, c) => (lockedCells[r][c] ? value : null)))
+    }
+    return grid
+  }
+
+  // The puzzle as it was before solving started, with its solution when it is known
+  const getPuzzleForExport = () => {
+    const givens = getGivens()
+    const solvedGrid = allSteps.length > 0 ? allSteps[allSteps.length - 1].gridStateAfter : null
+    const solution = [puzzleDetails.solution, solvedGrid].find(candidate =>
+      candidate && candidate.every((row, r) => row.every((value, c) =>
+        value !== null && (givens[r][c] === null || givens[r][c] === value)
+      ))
+    )
+    return { grid: givens, constraints, ruleset, solution: solution || null, metadata: puzzleDetails.metadata }
+  }
+
+  // Load the board from a shared link, solving up to the linked step if there is one
+  const restoreFromHash = (hash = window.location.hash, { undoable = false } = {}) => {
+    let link
+    try {
+      link = parseShareHash(hash)
+    } catch (error) {
+      setValidationError({ key: 'board.error-link', params: { message: error.message } })
+      return
+    }
+    if (!link) return
+    if (undoable) recordHistory()
+
+    const { puzzle, step, solverSettings: linkedSettings } = link
+    clearGrid(puzzle.size)
+    setGrid(puzzle.grid)
+    setConstraints(puzzle.constraints)
+    setRuleset(puzzle.ruleset)
+    if (step === null) return
+
+    setSolverSettings(linkedSettings)
+    try {
+      const steps = solvePuzzleStepByStep(puzzle.grid, puzzle.constraints, puzzle.size, { ...linkedSettings, ruleset: puzzle.ruleset })
+      if (steps.length === 0) return
+
+      setLockedCells(puzzle.grid.map(row => row.map(cell => cell !== null)))
+      setInitialGrid(puzzle.grid.map(row => row.slice()))
+      setLatestGrid(steps[steps.length - 1].gridStateAfter.map(row => row.slice()))
+      setAllSteps(steps)
+      showHistoryStep(steps, Math.min(step, steps.length - 1))
+    } catch (error) {
+      setValidationError({ key: 'board.error-solving', params: { message: error.message } })
+    }
+  }
+
+  // Bring back a board saved by saveCurrentBoard. A solve in progress is replayed from its hash.
+  const resumeBoard = (savedBoard) => {
+    let link = null
+    try {
+      link = savedBoard.hash ? parseShareHash(savedBoard.hash) : null
+    } catch (error) {
+      // The saved grid is still usable; drop the record so a bad hash is not read again
+      clearCurrentBoard()
+    }
+
+    if (link && link.step !== null) {
+      restoreFromHash(savedBoard.hash)
+    } else {
+      const size = { rows: savedBoard.grid.length, cols: savedBoard.grid[0].length }
+      clearGrid(size)
+      setGrid(savedBoard.grid)
+      setLockedCells(savedBoard.lockedCells)
+      setConstraints(savedBoard.constraints)
+      setRuleset(savedBoard.ruleset)
+      setIsComplete(checkWin(savedBoard.grid, size, savedBoard.ruleset))
+    }
+    setPuzzleDetails(savedBoard.puzzleDetails)
+    setLibraryEntryId(savedBoard.libraryEntryId)
+  }
+
+  const handleSaveToLibrary = ({ name, tags }) => {
+    const puzzle = getPuzzleForExport()
+    const validation = validateStartingPosition(puzzle.grid, constraints, gridSize, ruleset)
+    const difficulty = validation.isValid ? gradePuzzle(puzzle.grid, constraints, gridSize, { ruleset }).label : null
+    const boardGrid = allSteps.length > 0 ? allSteps[allSteps.length - 1].gridStateAfter : grid
+
+    const entry = addLibraryEntry({
+      name,
+      tags,
+      puzzle: { ...puzzle, metadata: { ...puzzle.metadata, name } },
+      progress: boardGrid,
+      difficulty,
+      solved: isComplete
+    })
+    setLibraryEntries(loadLibrary())
+    setLibraryEntryId(entry.id)
+  }
+
+  const handleOpenLibraryEntry = (entry) => {
+    const { puzzle } = entry
+    const size = { rows: puzzle.grid.length, cols: puzzle.grid[0].length }
+    const board = entry.progress || puzzle.grid
+    recordHistory()
+    clearGrid(size)
+    setGrid(board)
+    setConstraints(puzzle.constraints)
+    setRuleset(puzzle.ruleset)
+    setLockedCells(puzzle.grid.map(row => row.map(cell => cell !== null)))
+    setPuzzleDetails({ solution: puzzle.solution, metadata: puzzle.metadata })
+    setLibraryEntryId(entry.id)
+    setIsComplete(checkWin(board, size, puzzle.ruleset))
+  }
+
+  const handleDeleteLibraryEntry = (id) => {
+    deleteLibraryEntry(id)
+    setLibraryEntries(loadLibrary())
+    if (id === libraryEntryId) setLibraryEntryId(null)
+  }
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setIsLinkCopied(true)
+      setTimeout(() => setIsLinkCopied(false), 2000)
+    })
+  }
+
+  const handleExport = (format) => {
+    const puzzle = getPuzzleForExport()
+    const filename = `tango-${gridSize.rows}x${gridSize.cols}`
+    try {
+      if (format === 'json') {
+        downloadFile(`${filename}.json`, exportPuzzleJSON(puzzle), 'application/json')
+      } else {
+        downloadFile(`${filename}.txt`, exportPuzzleText(puzzle), 'text/plain')
+      }
+    } catch (error) {
+      setValidationError({ key: 'board.error-export', params: { message: error.message } })
+    }
   }
 
   const handleSolve = () => {
-    setValidationError(null)
+    const before = takeSnapshot()
+    clearValidationErrors()
     setIsSolving(true)
     setStepByStepMode(false)
     setCurrentStep(null)
     setHighlightedCells(new Set())
-    setSolvingExplanation(null)
+    setExplainedStep(null)
     setViewingStepIndex(null)
     setIsViewingHistory(false)
 
-    if (checkWin(grid, GRID_SIZE)) {
-      setValidationError('Puzzle is already solved!')
+    if (checkWin(grid, gridSize, ruleset)) {
+      setValidationError({ key: 'board.already-solved' })
       setIsSolving(false)
       return
     }
 
-    const validation = validateStartingPosition(grid, constraints, GRID_SIZE)
+    const validation = validateStartingPosition(grid, constraints, gridSize, ruleset)
     if (!validation.isValid) {
-      setValidationError(validation.errors.join('. '))
+      setValidationResult({ errors: validation.errors, grid, constraints, ruleset })
       setIsSolving(false)
       return
     }
@@ -199,56 +706,190 @@ function GameBoard() {
     setInitialGrid(grid.map(row => row.slice()))
 
     try {
-      const steps = solvePuzzleStepByStep(grid, constraints, GRID_SIZE)
+      const steps = solvePuzzleStepByStep(grid, constraints, gridSize, solverOptions)
       setAllSteps(steps)
 
-      if (steps.length === 0) {
-        setLockedCells(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false)))
-        setValidationError('Puzzle could not be solved.')
-      } else {
-        // Apply all steps to get final solution
-        const solvedGrid = grid.map(row => row.slice())
-        steps.forEach(step => {
-          solvedGrid[step.resultCell[0]][step.resultCell[1]] = step.resultValue
-        })
+      // The last step holds the final grid (backtracking can undo earlier steps)
+      const solvedGrid = steps.length > 0
+        ? steps[steps.length - 1].gridStateAfter.map(row => row.slice())
+        : grid.map(row => row.slice())
 
+      if (!checkWin(solvedGrid, gridSize, ruleset)) {
+        setLockedCells(grid.map(row => row.map(() => false)))
+        setValidationError({ key: solverSettings.allowGuessing ? 'board.unsolvable-guessing' : 'board.unsolvable-rules' })
+      } else {
+        recordHistory(before)
         setGrid(solvedGrid)
         setLatestGrid(solvedGrid.map(row => row.slice()))
-        const puzzleComplete = checkWin(solvedGrid, GRID_SIZE)
-        setIsComplete(puzzleComplete)
-        if (puzzleComplete) {
-          setShowConfetti(true)
-          setTimeout(() => setShowConfetti(false), 3000)
-        }
-        setValidationError(null)
+        setIsComplete(true)
+        setShowConfetti(true)
+        setTimeout(() => setShowConfetti(false), 3000)
+        clearValidationErrors()
       }
     } catch (error) {
-      setLockedCells(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false)))
-      setValidationError(`Error solving puzzle: ${error.message}`)
+      setLockedCells(grid.map(row => row.map(() => false)))
+      setValidationError({ key: 'board.error-solving', params: { message: error.message } })
     } finally {
       setIsSolving(false)
     }
   }
 
+  const handleCheckUniqueness = () => {
+    clearValidationErrors()
+
+    const { count, solutions } = countSolutions(grid, constraints, gridSize, 2, ruleset)
+
+    if (count === 0) {
+      setUniquenessResult({ isUnique: false, message: { key: 'uniqueness.none' }, grid, constraints, ruleset })
+      return
+    }
+
+    if (count === 1) {
+      setUniquenessResult({ isUnique: true, message: { key: 'uniqueness.unique' }, grid, constraints, ruleset })
+      return
+    }
+
+    // Highlight the cells that differ between two of the solutions
+    const differingCells = new Set()
+    solutions[0].forEach((row, rowIndex) => {
+      row.forEach((cell, colIndex) => {
+        if (cell !== solutions[1][rowIndex][colIndex]) {
+          differingCells.add(`${rowIndex},${colIndex}`)
+        }
+      })
+    })
+    setUniquenessResult({
+      isUnique: false,
+      message: { key: 'uniqueness.multiple', params: { count: differingCells.size } },
+      differingCells,
+      grid,
+      constraints,
+      ruleset
+    })
+  }
+
+  const handleGradePuzzle = () => {
+    clearValidationErrors()
+
+    const validation = validateStartingPosition(grid, constraints, gridSize, ruleset)
+    if (!validation.isValid) {
+      setValidationResult({ errors: validation.errors, grid, constraints, ruleset })
+      return
+    }
+
+    setPuzzleGrade({ ...gradePuzzle(grid, constraints, gridSize, { ruleset }), grid, constraints, ruleset })
+  }
+
+  const handleHint = () => {
+    clearValidationErrors()
+
+    // Reveal the next level of the current hint
+    if (currentHint && currentHint.level < HINT_LEVELS.length - 1) {
+      const level = currentHint.level + 1
+
+      if (HINT_LEVELS[level] === 'value') {
+        recordHistory()
+        const newGrid = grid.map(row => row.slice())
+        currentHint.step.resultCells.forEach(([r, c, value]) => {
+          newGrid[r][c] = value
+        })
+        setGrid(newGrid)
+        setIsComplete(checkWin(newGrid, gridSize, ruleset))
+        setHint({ ...currentHint, level, grid: newGrid })
+      } else {
+        setHint({ ...currentHint, level })
+      }
+      return
+    }
+
+    if (checkWin(grid, gridSize, ruleset)) {
+      setValidationError({ key: 'board.already-solved' })
+      return
+    }
+
+    const validation = validateStartingPosition(grid, constraints, gridSize, ruleset)
+    if (!validation.isValid) {
+      setValidationResult({ errors: validation.errors, grid, constraints, ruleset })
+      return
+    }
+
+    const newHint = findHint(grid, constraints, gridSize, solverOptions)
+    if (!newHint) {
+      setValidationError({ key: 'hint.none' })
+      return
+    }
+    setHint({ ...newHint, level: 0, grid, constraints, ruleset })
+  }
+
+  const formatCell = ([row, col]) => t('cell', { row: row + 1, col: col + 1 })
+
+  const formatRegion = ({ type, cells }) => {
+    if (type === 'row') return t('region.row', { number: cells[0][0] + 1 })
+    if (type === 'column') return t('region.column', { number: cells[0][1] + 1 })
+    return t('region.area', { from: formatCell(cells[0]), to: formatCell(cells[cells.length - 1]) })
+  }
+
+  const getHintText = () => {
+    const { step, region, level } = currentHint
+    const rule = formatStepName(step, locale)
+    switch (HINT_LEVELS[level]) {
+      case 'region':
+        return t('hint.region', { region: formatRegion(region) })
+      case 'rule':
+        return t('hint.rule', { region: formatRegion(region), rule })
+      case 'cells':
+        return t('hint.cells', { rule })
+      default:
+        return t('hint.value', { rule, explanation: formatStepExplanation(step, locale) })
+    }
+  }
+
+  const getHintButtonLabel = () => {
+    if (!currentHint || currentHint.level === HINT_LEVELS.length - 1) return t('hint.button')
+    return t(`hint.button.${HINT_LEVELS[currentHint.level + 1]}`)
+  }
+
+  // Screen readers hear the step being explained, live conflicts, hints and a win politely,
+  // and errors that stopped an action at once
+  const getStatusAnnouncement = () => {
+    const stepIndex = explainedStep ? allSteps.indexOf(explainedStep) : -1
+    return [
+      explainedStep && [
+        stepIndex >= 0 && `${t('steps.number', { number: stepIndex + 1 })}:`,
+        `${formatStepName(explainedStep, locale)}.`,
+        formatStepExplanation(explainedStep, locale)
+      ].filter(Boolean).join(' '),
+      validationErrors.length === 0 && conflicts.map(conflict => formatError(conflict, locale)).join('. '),
+      currentHint && !stepByStepMode && !hasError && getHintText(),
+      isComplete && !hasError && t('board.solved')
+    ].filter(Boolean).join(' ')
+  }
+
+  const getErrorAnnouncement = () => [
+    validationError && t(validationError.key, validationError.params),
+    ...validationErrors.map(error => formatError(error, locale))
+  ].filter(Boolean).join('. ')
+
   const handleSolveStepByStep = () => {
-    setValidationError(null)
+    const before = takeSnapshot()
+    clearValidationErrors()
     setStepByStepMode(true)
     setCurrentStep(null)
     setHighlightedCells(new Set())
-    setSolvingExplanation(null)
+    setExplainedStep(null)
     setAllSteps([])
     setViewingStepIndex(null)
     setIsViewingHistory(false)
 
-    if (checkWin(grid, GRID_SIZE)) {
-      setValidationError('Puzzle is already solved!')
+    if (checkWin(grid, gridSize, ruleset)) {
+      setValidationError({ key: 'board.already-solved' })
       setStepByStepMode(false)
       return
     }
 
-    const validation = validateStartingPosition(grid, constraints, GRID_SIZE)
+    const validation = validateStartingPosition(grid, constraints, gridSize, ruleset)
     if (!validation.isValid) {
-      setValidationError(validation.errors.join('. '))
+      setValidationResult({ errors: validation.errors, grid, constraints, ruleset })
       setStepByStepMode(false)
       return
     }
@@ -261,24 +902,27 @@ function GameBoard() {
     const initialGridState = grid.map(row => row.slice())
     setInitialGrid(initialGridState)
     setLatestGrid(initialGridState)
-    handleNextStep()
+    handleNextStep([], before)
   }
 
-  const handleNextStep = () => {
+  // Apply the next solving step; `before` is the board to return to when it is undone
+  const handleNextStep = (previousSteps = allSteps, before = takeSnapshot()) => {
     try {
       // If viewing history, use the latest grid state instead of current displayed grid
       const gridToUse = isViewingHistory && latestGrid ? latestGrid : grid
-      const step = getNextStep(gridToUse, constraints, GRID_SIZE)
+      const step = getNextStep(gridToUse, constraints, gridSize, previousSteps, solverOptions)
 
       if (!step) {
-        setValidationError('No more moves can be made. Puzzle may be unsolvable or complete.')
+        setValidationError({ key: solverSettings.allowGuessing ? 'board.no-more-moves-guessing' : 'board.no-more-moves-rules' })
         setStepByStepMode(false)
         setCurrentStep(null)
         setHighlightedCells(new Set())
-        setSolvingExplanation(null)
+        setExplainedStep(null)
         return
       }
 
+      recordHistory(before)
+
       // If we were viewing history, exit history view first
       if (isViewingHistory) {
         setIsViewingHistory(false)
@@ -290,9 +934,8 @@ function GameBoard() {
 
       setAllSteps(prev => [...prev, step])
 
-      // Apply the step to the grid
-      const newGrid = gridToUse.map(row => row.slice())
-      newGrid[step.resultCell[0]][step.resultCell[1]] = step.resultValue
+      // Apply the step to the grid (a backtrack can change more than one cell)
+      const newGrid = step.gridStateAfter.map(row => row.slice())
       setGrid(newGrid)
       setLatestGrid(newGrid.map(row => row.slice()))
 
@@ -301,39 +944,64 @@ function GameBoard() {
       step.affectedCells.forEach(([r, c]) => {
         highlightSet.add(`${r},${c}`)
       })
-      highlightSet.add(`${step.resultCell[0]},${step.resultCell[1]}`)
+      step.resultCells.forEach(([r, c]) => {
+        highlightSet.add(`${r},${c}`)
+      })
       setHighlightedCells(highlightSet)
 
-      setSolvingExplanation({
-        ruleName: step.ruleName,
-        explanation: step.explanation
-      })
+      setExplainedStep(step)
       setCurrentStep(step)
 
-      if (checkWin(newGrid, GRID_SIZE)) {
+      if (checkWin(newGrid, gridSize, ruleset)) {
         setIsComplete(true)
         setStepByStepMode(false)
         setHighlightedCells(new Set())
       }
     } catch (error) {
-      setValidationError(`Error solving step: ${error.message}`)
+      setValidationError({ key: 'board.error-step', params: { message: error.message } })
       setStepByStepMode(false)
     }
   }
 
+  const handleToggleRule = (ruleId) => {
+    setSolverSettings(prev => ({
+      ...prev,
+      disabledRules: prev.disabledRules.includes(ruleId)
+        ? prev.disabledRules.filter(id => id !== ruleId)
+        : [...prev.disabledRules, ruleId]
+    }))
+  }
+
+  const handleRulesetChange = (newRuleset) => {
+    recordHistory()
+    setRuleset(newRuleset)
+    setIsComplete(checkWin(grid, gridSize, newRuleset))
+  }
+
+  const handleToggleGuessing = () => {
+    setSolverSettings(prev => ({ ...prev, allowGuessing: !prev.allowGuessing }))
+  }
+
+  const handleToggleGroupSteps = () => {
+    setSolverSettings(prev => ({ ...prev, groupSteps: !prev.groupSteps }))
+  }
+
   const handleStopStepByStep = () => {
     setStepByStepMode(false)
     setCurrentStep(null)
     setHighlightedCells(new Set())
-    setSolvingExplanation(null)
+    setExplainedStep(null)
     setIsViewingHistory(false)
     setViewingStepIndex(null)
   }
 
-  const handleStepClick = (stepIndex) => {
-    if (stepIndex < 0 || stepIndex >= allSteps.length) return
+  const handleStepClick = (stepIndex) => showHistoryStep(allSteps, stepIndex)
 
-    const step = allSteps[stepIndex]
+  // Show the board as it was after one of the steps of a solve
+  const showHistoryStep = (steps, stepIndex) => {
+    if (stepIndex < 0 || stepIndex >= steps.length) return
+
+    const step = steps[stepIndex]
     setIsViewingHistory(true)
     setViewingStepIndex(stepIndex)
 
@@ -341,7 +1009,9 @@ function GameBoard() {
       setGrid(step.gridStateAfter.map(row => row.slice()))
     } else if (step.gridStateBefore) {
       const gridAfter = step.gridStateBefore.map(row => row.slice())
-      gridAfter[step.resultCell[0]][step.resultCell[1]] = step.resultValue
+      step.resultCells.forEach(([r, c, value]) => {
+        gridAfter[r][c] = value
+      })
       setGrid(gridAfter)
     }
 
@@ -349,13 +1019,12 @@ function GameBoard() {
     step.affectedCells.forEach(([r, c]) => {
       highlightSet.add(`${r},${c}`)
     })
-    highlightSet.add(`${step.resultCell[0]},${step.resultCell[1]}`)
+    step.resultCells.forEach(([r, c]) => {
+      highlightSet.add(`${r},${c}`)
+    })
     setHighlightedCells(highlightSet)
 
-    setSolvingExplanation({
-      ruleName: step.ruleName,
-      explanation: step.explanation
-    })
+    setExplainedStep(step)
     setCurrentStep(step)
   }
 
@@ -363,16 +1032,12 @@ function GameBoard() {
     setIsViewingHistory(false)
     setViewingStepIndex(null)
     setHighlightedCells(new Set())
-    setSolvingExplanation(null)
+    setExplainedStep(null)
     setCurrentStep(null)
 
-    // Restore to final state (apply all steps from initial grid)
-    if (allSteps.length > 0 && initialGrid) {
-      const finalGrid = initialGrid.map(row => row.slice())
-      allSteps.forEach(step => {
-        finalGrid[step.resultCell[0]][step.resultCell[1]] = step.resultValue
-      })
-      setGrid(finalGrid)
+    // Restore to final state (the grid after the last step)
+    if (allSteps.length > 0) {
+      setGrid(allSteps[allSteps.length - 1].gridStateAfter.map(row => row.slice()))
     }
   }
 
@@ -382,13 +1047,49 @@ function GameBoard() {
       <ConstraintToolbar
         onDragStart={setDraggingConstraint}
         onDragEnd={() => setDraggingConstraint(null)}
+        onDropTargetChange={setDropTarget}
+        onDrop={handleEdgeDrop}
+        isEdgeEditing={isEdgeEditing}
+        onToggleEdgeEditing={() => setIsEdgeEditing(prev => !prev)}
+        locale={locale}
+      />
+      <PuzzleGenerator
+        onGenerate={handleGenerate}
+        isGenerating={isGenerating}
+        defaultSize={DEFAULT_GRID_SIZE}
+        locale={locale}
       />
 
       <div className="game-layout">
         <div className="game-board-wrapper">
-          <div className="game-board" ref={boardRef}>
+          <GridSizeSelector
+            size={gridSize}
+            onSizeChange={handleClear}
+            disabled={stepByStepMode || isSolving}
+            locale={locale}
+          />
+          <RulesetSelector
+            ruleset={ruleset}
+            onRulesetChange={handleRulesetChange}
+            disabled={stepByStepMode || isSolving}
+            locale={locale}
+          />
+          <div
+            className={`game-board ${Math.max(gridSize.rows, gridSize.cols) > 8 ? 'game-board-compact' : ''}`}
+            ref={boardRef}
+            onKeyDown={handleBoardKeyDown}
+            role="grid"
+            aria-label={t('a11y.board', gridSize)}
+          >
+            <div role="row" className="visually-hidden">
+              <span role="columnheader" />
+              {grid[0].map((_, colIndex) => (
+                <span key={colIndex} role="columnheader">{t('line.column', { number: colIndex + 1 })}</span>
+              ))}
+            </div>
             {grid.map((row, rowIndex) => (
-              <div key={rowIndex} className="game-row">
+              <div key={rowIndex} className="game-row" role="row">
+                <span role="rowheader" className="visually-hidden">{t('line.row', { number: rowIndex + 1 })}</span>
                 {row.map((cell, colIndex) => {
                   const cellConstraints = {
                     equals: constraints.equals.filter(c =>
@@ -402,12 +1103,19 @@ function GameBoard() {
                   }
 
                   const cellKey = `${rowIndex},${colIndex}`
-                  const isHighlighted = highlightedCells.has(cellKey)
-                  const isResultCell = currentStep &&
-                    currentStep.resultCell[0] === rowIndex &&
-                    currentStep.resultCell[1] === colIndex
-                  const isAffectedCell = currentStep &&
-                    currentStep.affectedCells.some(([r, c]) => r === rowIndex && c === colIndex)
+                  const isHighlighted = highlightedCells.has(cellKey) ||
+                    Boolean(currentUniqueness?.differingCells?.has(cellKey)) ||
+                    Boolean(currentHint?.region.cells.some(([r, c]) => r === rowIndex && c === colIndex))
+                  const isResultCell = (currentStep &&
+                    currentStep.resultCells.some(([r, c]) => r === rowIndex && c === colIndex)) ||
+                    (currentHint && HINT_LEVELS[currentHint.level] === 'value' &&
+                      currentHint.step.resultCells.some(([r, c]) => r === rowIndex && c === colIndex))
+                  const isGroupResult = Boolean(currentStep) && currentStep.resultCells.length > 1 &&
+                    currentStep.resultCells.some(([r, c]) => r === rowIndex && c === colIndex)
+                  const isAffectedCell = (currentStep &&
+                    currentStep.affectedCells.some(([r, c]) => r === rowIndex && c === colIndex)) ||
+                    (currentHint && currentHint.level >= HINT_LEVELS.indexOf('cells') &&
+                      currentHint.step.affectedCells.some(([r, c]) => r === rowIndex && c === colIndex))
 
                   return (
                     <Cell
@@ -417,14 +1125,22 @@ function GameBoard() {
                       constraints={constraints}
                       row={rowIndex}
                       col={colIndex}
-                      gridSize={GRID_SIZE}
+                      gridSize={gridSize}
                       onEdgeDrop={handleEdgeDrop}
                       onConstraintRemove={handleConstraintRemove}
                       draggingConstraint={draggingConstraint}
                       isLocked={lockedCells[rowIndex][colIndex]}
                       isHighlighted={isHighlighted}
                       isResultCell={isResultCell}
+                      isGroupResult={isGroupResult}
                       isAffectedCell={isAffectedCell}
+                      isConflict={conflictCells.has(cellKey)}
+                      isCursor={rowIndex === activeCell.row && colIndex === activeCell.col}
+                      onFocus={() => setCursor({ row: rowIndex, col: colIndex })}
+                      isEdgeEditing={isEdgeEditing}
+                      onEdgeCycle={handleEdgeCycle}
+                      dropTarget={dropTarget}
+                      locale={locale}
                     />
                   )
                 })}
@@ -432,18 +1148,43 @@ function GameBoard() {
             ))}
           </div>
 
+          <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+            {getStatusAnnouncement()}
+          </div>
+          <div className="visually-hidden" role="alert" aria-atomic="true">
+            {getErrorAnnouncement()}
+          </div>
+
           <div className="game-controls">
             {isViewingHistory && (
               <button
                 className="exit-history-button"
                 onClick={handleExitHistoryView}
               >
-                Exit History View
+                {t('board.exit-history')}
               </button>
             )}
+            <div className="control-buttons history-buttons">
+              <button
+                className="reset-button"
+                onClick={handleUndo}
+                disabled={history.past.length === 0 || isSolving || isGenerating}
+                title={t('board.undo-shortcut')}
+              >
+                ↶ {t('board.undo')}
+              </button>
+              <button
+                className="reset-button"
+                onClick={handleRedo}
+                disabled={history.future.length === 0 || isSolving || isGenerating}
+                title={t('board.redo-shortcut')}
+              >
+                ↷ {t('board.redo')}
+              </button>
+            </div>
             <div className="control-buttons">
-              <button className="reset-button" onClick={clearGrid}>
-                Clear Grid
+              <button className="reset-button" onClick={() => handleClear()}>
+                {t('board.clear')}
               </button>
               {!stepByStepMode ? (
                 <>
@@ -451,42 +1192,139 @@ function GameBoard() {
                     className="solve-button"
                     onClick={handleSolve}
                     disabled={isSolving}
+                    title={t('board.solve-all-shortcut')}
                   >
-                    {isSolving ? 'Solving...' : 'Solve All'}
+                    {isSolving ? t('board.solving') : t('board.solve-all')}
                   </button>
                   <button
                     className="solve-button step-button"
                     onClick={handleSolveStepByStep}
                     disabled={isSolving}
+                    title={t('board.solve-step-by-step-shortcut')}
+                  >
+                    {t('board.solve-step-by-step')}
+                  </button>
+                  <button
+                    className="reset-button hint-button"
+                    onClick={handleHint}
+                    disabled={isSolving}
                   >
-                    Solve Step-by-Step
+                    💡 {getHintButtonLabel()}
+                  </button>
+                  <button
+                    className="reset-button"
+                    onClick={handleCheckUniqueness}
+                    disabled={isSolving}
+                  >
+                    {t('board.check-uniqueness')}
+                  </button>
+                  <button
+                    className="reset-button"
+                    onClick={handleGradePuzzle}
+                    disabled={isSolving}
+                  >
+                    {t('board.grade')}
                   </button>
                 </>
               ) : (
                 <>
                   <button
                     className="solve-button step-button"
-                    onClick={handleNextStep}
+                    onClick={() => handleNextStep()}
+                    title={t('board.next-step-shortcut')}
                   >
-                    Next Step
+                    {t('board.next-step')}
                   </button>
                   <button
                     className="reset-button"
                     onClick={handleStopStepByStep}
+                    title={t('board.stop-shortcut')}
                   >
-                    Stop
+                    {t('board.stop')}
                   </button>
                 </>
               )}
             </div>
+            <div className="control-buttons file-buttons">
+              <button
+                className="reset-button"
+                onClick={() => importInputRef.current.click()}
+                disabled={isSolving || stepByStepMode}
+              >
+                {t('board.import')}
+              </button>
+              <button className="reset-button" onClick={() => handleExport('text')}>
+                {t('board.export-text')}
+              </button>
+              <button className="reset-button" onClick={() => handleExport('json')}>
+                {t('board.export-json')}
+              </button>
+              <button className="reset-button" onClick={handleCopyLink}>
+                {isLinkCopied ? t('board.link-copied') : t('board.copy-link')}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".txt,.json,text/plain,application/json"
+                onChange={handleImportFile}
+                hidden
+              />
+            </div>
+            {pendingEdgeMark && (
+              <div className="info-message">
+                ⌨️ {pendingEdgeMark === 'none'
+                  ? t('board.pending-edge-none')
+                  : t('board.pending-edge', { mark: pendingEdgeMark === 'equals' ? '=' : '×' })}
+              </div>
+            )}
+            {conflicts.length > 0 && validationErrors.length === 0 && (
+              <ul className="conflict-list">
+                {conflicts.map((conflict, index) => (
+                  <li key={index}>❌ {formatError(conflict, locale)}</li>
+                ))}
+              </ul>
+            )}
+            {validationErrors.length > 0 && (
+              <ul className="conflict-list validation-error-list">
+                {validationErrors.map((error, index) => (
+                  <li key={index}>⚠️ {formatError(error, locale)}</li>
+                ))}
+              </ul>
+            )}
             {validationError && (
               <div className="error-message">
-                ⚠️ {validationError}
+                ⚠️ {t(validationError.key, validationError.params)}
+              </div>
+            )}
+            {currentHint && !stepByStepMode && !hasError && (
+              <div className="hint-message">
+                💡 {getHintText()}
+              </div>
+            )}
+            {currentUniqueness && !hasError && (
+              <div className={currentUniqueness.isUnique ? 'info-message' : 'error-message'}>
+                {currentUniqueness.isUnique ? '✅' : '⚠️'} {t(currentUniqueness.message.key, currentUniqueness.message.params)}
+              </div>
+            )}
+            {currentGrade && !hasError && (
+              <div className={`puzzle-grade puzzle-grade-${currentGrade.label.toLowerCase()}`}>
+                <span className="puzzle-grade-label">{t(`grade.${currentGrade.label}`)}</span>
+                {currentGrade.solved && (
+                  <span className="puzzle-grade-details">
+                    {[
+                      t('grade.score', { score: currentGrade.score }),
+                      t('grade.steps', { count: currentGrade.stepCount }),
+                      t('grade.bottlenecks', { count: currentGrade.bottleneckSteps }),
+                      currentGrade.guesses > 0 && t('grade.guesses', { count: currentGrade.guesses }),
+                      currentGrade.seed !== undefined && t('grade.seed', { seed: currentGrade.seed })
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                )}
               </div>
             )}
-            {isComplete && !validationError && (
+            {isComplete && !hasError && (
               <div className="win-message">
-                🎉 Puzzle solved!
+                🎉 {t('board.solved')}
               </div>
             )}
           </div>
@@ -496,28 +1334,77 @@ function GameBoard() {
           <div className={`step-history-wrapper has-content`} ref={stepHistoryWrapperRef}>
             <StepHistoryPanel
               steps={allSteps}
+              puzzle={{ grid: allSteps[0].gridStateBefore, constraints, size: gridSize, ruleset }}
               selectedStepIndex={viewingStepIndex}
               onStepClick={handleStepClick}
+              locale={locale}
             />
           </div>
         )}
       </div>
 
-      {solvingExplanation && (
+      {explainedStep && (
         <div className="solving-explanation">
-          <div className="explanation-rule">{solvingExplanation.ruleName}</div>
-          <div className="explanation-text">{solvingExplanation.explanation}</div>
+          <div className="explanation-rule">{formatStepName(explainedStep, locale)}</div>
+          <div className="explanation-text">{formatStepExplanation(explainedStep, locale)}</div>
+          {explainedStep.hypothesis && (
+            <ol className="explanation-chain">
+              <li>
+                {t('board.assume', {
+                  cell: formatCell(explainedStep.hypothesis.cell),
+                  value: t(`symbol.${explainedStep.hypothesis.value}`)
+                })}
+              </li>
+              {explainedStep.hypothesis.chain.map((chainStep, index) => (
+                <li key={index}>
+                  <span className="explanation-chain-rule">{formatStepName(chainStep, locale)}:</span> {formatStepExplanation(chainStep, locale)}
+                </li>
+              ))}
+              <li className="explanation-chain-contradiction">
+                {t('board.contradiction', { violation: formatViolation(explainedStep.hypothesis.contradiction, locale) })}
+              </li>
+            </ol>
+          )}
         </div>
       )}
 
+      <PuzzleLibrary
+        entries={libraryEntries}
+        currentEntryId={libraryEntryId}
+        onSave={handleSaveToLibrary}
+        onOpen={handleOpenLibraryEntry}
+        onDelete={handleDeleteLibraryEntry}
+        canSave={!isEmptyBoard}
+        disabled={isSolving || stepByStepMode}
+        locale={locale}
+      />
+
+      <RuleSettingsPanel
+        rules={getRegisteredRules()}
+        disabledRules={solverSettings.disabledRules}
+        allowGuessing={solverSettings.allowGuessing}
+        groupSteps={solverSettings.groupSteps}
+        ruleset={ruleset}
+        onToggleRule={handleToggleRule}
+        onToggleGuessing={handleToggleGuessing}
+        onToggleGroupSteps={handleToggleGroupSteps}
+        locale={locale}
+      />
+
       <div className="game-rules">
-        <h3>Instructions:</h3>
+        <h3>{t('instructions.title')}</h3>
         <ul>
-          <li>Click cells to place sun ☀️ or moon 🌙 symbols</li>
-          <li>Drag "=" or "×" from the toolbar and drop on edges between cells</li>
-          <li>Click a constraint to remove it</li>
-          <li>Each row and column must have equal suns and moons</li>
-          <li>No more than two identical symbols in a row</li>
+          <li>{t('instructions.place')}</li>
+          <li>{t('instructions.drag')}</li>
+          <li>{t('instructions.remove')}</li>
+          <li>{t('instructions.touch')}</li>
+          <li>{t('instructions.undo')}</li>
+          <li>{t('instructions.keyboard')}</li>
+          <li>{t('instructions.keyboard-edges')}</li>
+          <li>{t('instructions.keyboard-solve')}</li>
+          {ruleset.balanced && <li>{t('instructions.balanced')}</li>}
+          <li>{t('instructions.max-run', { count: ruleset.maxRunLength === 2 ? t('number.two') : ruleset.maxRunLength })}</li>
+          {ruleset.uniqueLines && <li>{t('instructions.unique-lines')}</li>}
         </ul>
       </div>
     </div>
@@ -0,0 +1,94 @@
+import React, { useState } from 'react'
+import { MIN_GRID_SIZE, MAX_GRID_SIZE, isSupportedGridLength } from '../../utils/gameLogic'
+import { getTranslator } from '../../i18n'
+import './GridSizeSelector.css'
+
+const GRID_SIZE_PRESETS = [4, 6, 8, 10, 12]
+
+function GridSizeSelector({ size, onSizeChange, disabled, locale }) {
+  const t = getTranslator(locale)
+  const [isCustom, setIsCustom] = useState(false)
+  const [customRows, setCustomRows] = useState(String(size.rows))
+  const [customCols, setCustomCols] = useState(String(size.cols))
+  const isSquarePreset = size.rows === size.cols && GRID_SIZE_PRESETS.includes(size.rows)
+  const showCustom = isCustom || !isSquarePreset
+
+  const handlePresetChange = (e) => {
+    if (e.target.value === 'custom') {
+      setIsCustom(true)
+      setCustomRows(String(size.rows))
+      setCustomCols(String(size.cols))
+      return
+    }
+
+    setIsCustom(false)
+    const length = Number(e.target.value)
+    onSizeChange({ rows: length, cols: length })
+  }
+
+  const rowsValue = Number(customRows)
+  const colsValue = Number(customCols)
+  const isCustomValid = isSupportedGridLength(rowsValue) && isSupportedGridLength(colsValue)
+
+  const handleCustomApply = (e) => {
+    e.preventDefault()
+    if (isCustomValid && (rowsValue !== size.rows || colsValue !== size.cols)) {
+      onSizeChange({ rows: rowsValue, cols: colsValue })
+    }
+  }
+
+  return (
+    <form className="grid-size-selector" onSubmit={handleCustomApply}>
+      <label className="grid-size-label">
+        {t('grid-size.label')}
+        <select
+          value={showCustom ? 'custom' : size.rows}
+          onChange={handlePresetChange}
+          disabled={disabled}
+        >
+          {GRID_SIZE_PRESETS.map(option => (
+            <option key={option} value={option}>{option}×{option}</option>
+          ))}
+          <option value="custom">{t('grid-size.custom')}</option>
+        </select>
+      </label>
+      {showCustom && (
+        <>
+          <input
+            className="grid-size-input"
+            type="number"
+            min={MIN_GRID_SIZE}
+            max={MAX_GRID_SIZE}
+            step="2"
+            value={customRows}
+            onChange={(e) => setCustomRows(e.target.value)}
+            disabled={disabled}
+            title={t('grid-size.rows')}
+          />
+          <span className="grid-size-times">×</span>
+          <input
+            className="grid-size-input"
+            type="number"
+            min={MIN_GRID_SIZE}
+            max={MAX_GRID_SIZE}
+            step="2"
+            value={customCols}
+            onChange={(e) => setCustomCols(e.target.value)}
+            disabled={disabled}
+            title={t('grid-size.columns')}
+          />
+          <button
+            type="submit"
+            className="grid-size-apply"
+            disabled={disabled || !isCustomValid}
+            title={isCustomValid ? '' : t('grid-size.invalid', { min: MIN_GRID_SIZE, max: MAX_GRID_SIZE })}
+          >
+            {t('grid-size.apply')}
+          </button>
+        </>
+      )}
+    </form>
+  )
+}
+
+export default GridSizeSelector
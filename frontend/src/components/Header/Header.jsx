@@ -1,7 +1,10 @@
 import React from 'react'
+import { LOCALES, getTranslator } from '../../i18n'
 import './Header.css'
 
-function Header() {
+function Header({ locale, onLocaleChange }) {
+  const t = getTranslator(locale)
+
   return (
     <header className="header">
       <div className="header-content">
@@ -10,11 +13,18 @@ function Header() {
           Tango
           <span className="moon-emoji">🌙</span>
         </h1>
-        <p className="header-subtitle">Puzzle Solver</p>
+        <p className="header-subtitle">{t('header.subtitle')}</p>
+        <label className="header-language">
+          {t('header.language')}
+          <select value={locale} onChange={(e) => onLocaleChange(e.target.value)}>
+            {LOCALES.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
       </div>
     </header>
   )
 }
 
 export default Header
-
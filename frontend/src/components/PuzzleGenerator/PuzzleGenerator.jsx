@@ -0,0 +1,62 @@
+import React, { useState } from 'react'
+import { GENERATOR_DIFFICULTIES } from '../../utils/generator'
+import { getTranslator } from '../../i18n'
+import './PuzzleGenerator.css'
+
+const GENERATOR_SIZES = [4, 6, 8]
+
+function PuzzleGenerator({ onGenerate, isGenerating, defaultSize, locale }) {
+  const t = getTranslator(locale)
+  const [size, setSize] = useState(defaultSize)
+  const [difficulty, setDifficulty] = useState('Medium')
+  const [seed, setSeed] = useState('')
+
+  const handleGenerate = () => {
+    // Without a seed, pick one and show it so the puzzle can be recreated
+    const usedSeed = seed.trim() || String(Math.floor(Math.random() * 1000000))
+    setSeed(usedSeed)
+    onGenerate({ size, difficulty, seed: usedSeed })
+  }
+
+  return (
+    <div className="puzzle-generator">
+      <h3 className="puzzle-generator-title">{t('generator.title')}</h3>
+      <div className="puzzle-generator-options">
+        <label className="puzzle-generator-option">
+          {t('generator.size')}
+          <select value={size} onChange={(e) => setSize(Number(e.target.value))}>
+            {GENERATOR_SIZES.map(option => (
+              <option key={option} value={option}>{option}×{option}</option>
+            ))}
+          </select>
+        </label>
+        <label className="puzzle-generator-option">
+          {t('generator.difficulty')}
+          <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
+            {GENERATOR_DIFFICULTIES.map(option => (
+              <option key={option} value={option}>{t(`grade.${option}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="puzzle-generator-option">
+          {t('generator.seed')}
+          <input
+            type="text"
+            value={seed}
+            placeholder={t('generator.seed-placeholder')}
+            onChange={(e) => setSeed(e.target.value)}
+          />
+        </label>
+        <button
+          className="puzzle-generator-button"
+          onClick={handleGenerate}
+          disabled={isGenerating}
+        >
+          {isGenerating ? t('generator.generating') : t('generator.generate')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PuzzleGenerator
@@ -0,0 +1,144 @@
+import React, { useState } from 'react'
+import { parseTags } from '../../utils/puzzleLibrary'
+import { getTranslator } from '../../i18n'
+import './PuzzleLibrary.css'
+
+// Small picture of a saved board: givens dark, the player's cells light
+function PuzzleThumbnail({ puzzle, progress }) {
+  const grid = progress || puzzle.grid
+
+  return (
+    <div className="puzzle-thumbnail" style={{ gridTemplateColumns: `repeat(${grid[0].length}, 1fr)` }}>
+      {grid.flatMap((row, r) => row.map((value, c) => (
+        <span
+          key={`${r}-${c}`}
+          className={`puzzle-thumbnail-cell ${value ? `puzzle-thumbnail-${value}` : ''} ${puzzle.grid[r][c] ? 'puzzle-thumbnail-given' : ''}`}
+        />
+      )))}
+    </div>
+  )
+}
+
+function PuzzleLibrary({ entries, currentEntryId, onSave, onOpen, onDelete, canSave, disabled, locale }) {
+  const t = getTranslator(locale)
+  const [name, setName] = useState('')
+  const [tagsText, setTagsText] = useState('')
+  const [search, setSearch] = useState('')
+
+  const query = search.trim().toLowerCase()
+  const visibleEntries = entries.filter(entry =>
+    !query || entry.name.toLowerCase().includes(query) || entry.tags.some(tag => tag.toLowerCase().includes(query))
+  )
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave({ name: name.trim() || t('library.untitled'), tags: parseTags(tagsText) })
+    setName('')
+    setTagsText('')
+  }
+
+  const handleDelete = (entry) => {
+    if (window.confirm(t('library.confirm-delete', { name: entry.name }))) {
+      onDelete(entry.id)
+    }
+  }
+
+  return (
+    <details className="puzzle-library">
+      <summary className="puzzle-library-title">{t('library.title')}</summary>
+      <p className="puzzle-library-hint">{t('library.hint')}</p>
+
+      <form className="puzzle-library-form" onSubmit={handleSubmit}>
+        <label>
+          <span>{t('library.name')}</span>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('library.name-placeholder')}
+          />
+        </label>
+        <label>
+          <span>{t('library.tags')}</span>
+          <input
+            type="text"
+            value={tagsText}
+            onChange={(e) => setTagsText(e.target.value)}
+            placeholder={t('library.tags-placeholder')}
+          />
+        </label>
+        <button type="submit" className="puzzle-library-save" disabled={disabled || !canSave}>
+          {t('library.save')}
+        </button>
+      </form>
+
+      {entries.length === 0 ? (
+        <div className="puzzle-library-empty">{t('library.empty')}</div>
+      ) : (
+        <>
+          <input
+            type="search"
+            className="puzzle-library-search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('library.search')}
+          />
+          {visibleEntries.length === 0 && (
+            <div className="puzzle-library-empty">{t('library.no-match')}</div>
+          )}
+          <ul className="puzzle-library-list">
+            {visibleEntries.map(entry => (
+              <li
+                key={entry.id}
+                className={`puzzle-library-item ${entry.id === currentEntryId ? 'puzzle-library-item-current' : ''}`}
+              >
+                <PuzzleThumbnail puzzle={entry.puzzle} progress={entry.progress} />
+                <div className="puzzle-library-details">
+                  <div className="puzzle-library-name">{entry.name}</div>
+                  <div className="puzzle-library-badges">
+                    <span className="puzzle-library-badge">
+                      {entry.puzzle.grid.length}x{entry.puzzle.grid[0].length}
+                    </span>
+                    {entry.difficulty && (
+                      <span className={`puzzle-library-badge puzzle-grade-${entry.difficulty.toLowerCase()}`}>
+                        {t(`grade.${entry.difficulty}`)}
+                      </span>
+                    )}
+                    <span className={`puzzle-library-badge ${entry.solved ? 'puzzle-library-solved' : ''}`}>
+                      {entry.solved ? `✓ ${t('library.solved')}` : t('library.in-progress')}
+                    </span>
+                    {entry.id === currentEntryId && (
+                      <span className="puzzle-library-badge puzzle-library-current">{t('library.current')}</span>
+                    )}
+                  </div>
+                  {entry.tags.length > 0 && (
+                    <div className="puzzle-library-tags">
+                      {entry.tags.map(tag => (
+                        <button key={tag} type="button" className="puzzle-library-tag" onClick={() => setSearch(tag)}>
+                          #{tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <div className="puzzle-library-date">
+                    {t('library.saved-at', { date: new Date(entry.updatedAt).toLocaleString(locale) })}
+                  </div>
+                </div>
+                <div className="puzzle-library-actions">
+                  <button type="button" onClick={() => onOpen(entry)} disabled={disabled}>
+                    {t('library.open')}
+                  </button>
+                  <button type="button" className="puzzle-library-delete" onClick={() => handleDelete(entry)}>
+                    {t('library.delete')}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </details>
+  )
+}
+
+export default PuzzleLibrary
@@ -0,0 +1,65 @@
+import React from 'react'
+import { ruleSupports } from '../../utils/solver'
+import { resolveRuleset } from '../../utils/ruleset'
+import { formatRuleName } from '../../utils/explanations'
+import { getTranslator } from '../../i18n'
+import './RuleSettingsPanel.css'
+
+function RuleSettingsPanel({ rules, disabledRules, allowGuessing, groupSteps, ruleset, onToggleRule, onToggleGuessing, onToggleGroupSteps, locale }) {
+  const t = getTranslator(locale)
+  const resolvedRuleset = resolveRuleset(ruleset)
+
+  return (
+    <details className="rule-settings-panel">
+      <summary className="rule-settings-title">{t('rule-settings.title')}</summary>
+      <p className="rule-settings-hint">
+        {t('rule-settings.hint')}
+      </p>
+      <ul className="rule-settings-list">
+        {rules.map(rule => {
+          const isSupported = ruleSupports(rule, resolvedRuleset)
+          return (
+            <li key={rule.id} className={`rule-settings-item ${isSupported ? '' : 'rule-settings-item-unsupported'}`}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={isSupported && !disabledRules.includes(rule.id)}
+                  onChange={() => onToggleRule(rule.id)}
+                  disabled={!isSupported}
+                />
+                <span className="rule-settings-name">{formatRuleName(rule, locale)}</span>
+                <span className="rule-settings-difficulty">
+                  {isSupported ? t('rule-settings.difficulty', { difficulty: rule.difficulty }) : t('rule-settings.unsupported')}
+                </span>
+              </label>
+            </li>
+          )
+        })}
+        <li className="rule-settings-item rule-settings-item-search">
+          <label>
+            <input
+              type="checkbox"
+              checked={allowGuessing}
+              onChange={onToggleGuessing}
+            />
+            <span className="rule-settings-name">{t('rule-settings.guessing')}</span>
+            <span className="rule-settings-difficulty">{t('rule-settings.guessing-when')}</span>
+          </label>
+        </li>
+        <li className="rule-settings-item rule-settings-item-grouping">
+          <label>
+            <input
+              type="checkbox"
+              checked={groupSteps}
+              onChange={onToggleGroupSteps}
+            />
+            <span className="rule-settings-name">{t('rule-settings.group-steps')}</span>
+            <span className="rule-settings-difficulty">{t('rule-settings.group-steps-when')}</span>
+          </label>
+        </li>
+      </ul>
+    </details>
+  )
+}
+
+export default RuleSettingsPanel
@@ -0,0 +1,93 @@
+import React, { useState } from 'react'
+import { RULESET_PRESETS } from '../../utils/ruleset'
+import { getTranslator } from '../../i18n'
+import './RulesetSelector.css'
+
+const MAX_RUN_LENGTH_LIMIT = 5
+
+// Whether a preset has the same rules as the ruleset
+function matchesPreset(preset, ruleset) {
+  return Object.keys(preset.ruleset).every(key => preset.ruleset[key] === ruleset[key])
+}
+
+function RulesetSelector({ ruleset, onRulesetChange, disabled, locale }) {
+  const t = getTranslator(locale)
+  const [selectedId, setSelectedId] = useState(RULESET_PRESETS[0].id)
+
+  // Follow the ruleset when it is changed elsewhere (an import, a shared link, undo).
+  // Presets with the same rules (Tango and Unruly) keep the one that was picked.
+  const selectedPreset = RULESET_PRESETS.find(p => p.id === selectedId)
+  const matchingPreset = selectedPreset && matchesPreset(selectedPreset, ruleset)
+    ? selectedPreset
+    : RULESET_PRESETS.find(p => matchesPreset(p, ruleset))
+  const presetId = selectedId === 'custom' || !matchingPreset ? 'custom' : matchingPreset.id
+
+  const handlePresetChange = (e) => {
+    setSelectedId(e.target.value)
+
+    const preset = RULESET_PRESETS.find(p => p.id === e.target.value)
+    if (preset) {
+      onRulesetChange(preset.ruleset)
+    }
+  }
+
+  // Editing a single rule turns the selection into a custom ruleset
+  const handleRuleChange = (key, value) => {
+    setSelectedId('custom')
+    onRulesetChange({ ...ruleset, [key]: value })
+  }
+
+  return (
+    <div className="ruleset-selector">
+      <label className="ruleset-label">
+        {t('ruleset.label')}
+        <select value={presetId} onChange={handlePresetChange} disabled={disabled}>
+          {RULESET_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+          <option value="custom">{t('ruleset.custom')}</option>
+        </select>
+      </label>
+      {presetId === 'custom' && (
+        <>
+          <label className="ruleset-option">
+            {t('ruleset.max-run')}
+            <input
+              type="number"
+              min="1"
+              max={MAX_RUN_LENGTH_LIMIT}
+              value={ruleset.maxRunLength}
+              onChange={(e) => {
+                const value = Number(e.target.value)
+                if (Number.isInteger(value) && value >= 1 && value <= MAX_RUN_LENGTH_LIMIT) {
+                  handleRuleChange('maxRunLength', value)
+                }
+              }}
+              disabled={disabled}
+            />
+          </label>
+          <label className="ruleset-option">
+            <input
+              type="checkbox"
+              checked={ruleset.balanced}
+              onChange={(e) => handleRuleChange('balanced', e.target.checked)}
+              disabled={disabled}
+            />
+            {t('ruleset.balanced')}
+          </label>
+          <label className="ruleset-option">
+            <input
+              type="checkbox"
+              checked={ruleset.uniqueLines}
+              onChange={(e) => handleRuleChange('uniqueLines', e.target.checked)}
+              disabled={disabled}
+            />
+            {t('ruleset.unique-lines')}
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RulesetSelector
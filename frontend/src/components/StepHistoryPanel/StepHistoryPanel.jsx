@@ -1,13 +1,30 @@
 import React from 'react'
+import { formatStepName } from '../../utils/explanations'
+import { exportTraceJSON, exportTraceMarkdown } from '../../utils/traceExport'
+import { getDimensions } from '../../utils/gameLogic'
+import { downloadFile } from '../../utils/download'
+import { getTranslator } from '../../i18n'
 import './StepHistoryPanel.css'
 
-function StepHistoryPanel({ steps, selectedStepIndex, onStepClick }) {
+function StepHistoryPanel({ steps, puzzle, selectedStepIndex, onStepClick, locale }) {
+  const t = getTranslator(locale)
+
+  const handleExport = (format) => {
+    const { rows, cols } = getDimensions(puzzle.size)
+    const filename = `tango-solve-${rows}x${cols}`
+    if (format === 'json') {
+      downloadFile(`${filename}.json`, exportTraceJSON(puzzle, steps, locale), 'application/json')
+    } else {
+      downloadFile(`${filename}.md`, exportTraceMarkdown(puzzle, steps, locale), 'text/markdown')
+    }
+  }
+
   if (!steps || steps.length === 0) {
     return (
       <div className="step-history-panel">
-        <h3 className="step-history-title">Solving Steps</h3>
+        <h3 className="step-history-title">{t('steps.title')}</h3>
         <div className="step-history-empty">
-          No steps yet. Start solving to see steps here.
+          {t('steps.empty')}
         </div>
       </div>
     )
@@ -15,18 +32,35 @@ function StepHistoryPanel({ steps, selectedStepIndex, onStepClick }) {
 
   return (
     <div className="step-history-panel">
-      <h3 className="step-history-title">Solving Steps</h3>
+      <h3 className="step-history-title">{t('steps.title')}</h3>
+      {puzzle && (
+        <div className="step-history-export">
+          <button className="step-history-export-button" onClick={() => handleExport('json')}>
+            {t('steps.export-json')}
+          </button>
+          <button className="step-history-export-button" onClick={() => handleExport('markdown')}>
+            {t('steps.export-markdown')}
+          </button>
+        </div>
+      )}
       <div className="step-history-list">
         {steps.map((step, index) => (
           <div
             key={index}
-            className={`step-history-item ${selectedStepIndex === index ? 'step-history-item-selected' : ''}`}
+            className={`step-history-item ${step.stepType !== 'deduction' ? `step-history-item-${step.stepType}` : ''} ${step.resultCells.length > 1 ? 'step-history-item-grouped' : ''} ${selectedStepIndex === index ? 'step-history-item-selected' : ''}`}
             onClick={() => onStepClick(index)}
           >
-            <div className="step-history-item-number">Step {index + 1}</div>
-            <div className="step-history-item-rule">{step.ruleName}</div>
+            <div className="step-history-item-number">
+              {t('steps.number', { number: index + 1 })}
+              {step.resultCells.length > 1 && (
+                <span className="step-history-item-group-size">{t('steps.group', { count: step.resultCells.length })}</span>
+              )}
+            </div>
+            <div className="step-history-item-rule">{formatStepName(step, locale)}</div>
             <div className="step-history-item-preview">
-              Cell ({step.resultCell[0] + 1}, {step.resultCell[1] + 1}) → {step.resultValue === 'sun' ? '☀️' : '🌙'}
+              {t('steps.cells', { count: step.resultCells.length })} {step.resultCells.map(([r, c, value]) =>
+                `(${r + 1}, ${c + 1}) → ${value === 'sun' ? '☀️' : '🌙'}`
+              ).join(', ')}
             </div>
           </div>
         ))}
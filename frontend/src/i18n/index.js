@@ -0,0 +1,73 @@
+/**
+ * MESSAGE CATALOGUES
+ *
+ * Every piece of text the app shows, from button labels to solver
+ * explanations, is looked up by key in the catalogue of the current locale.
+ * A message is a string with `{name}` placeholders filled from the params:
+ *
+ *   'cell': '({row},{col})'
+ *   translate('en', 'cell', { row: 2, col: 5 })  // "(2,5)"
+ *
+ * A message whose wording depends on a number is an object { one, other },
+ * picked by `params.count`. Keys missing from a locale fall back to English.
+ */
+
+import en from './locales/en'
+import de from './locales/de'
+
+export const DEFAULT_LOCALE = 'en'
+
+export const LOCALES = [
+  { id: 'en', name: 'English' },
+  { id: 'de', name: 'Deutsch' }
+]
+
+const CATALOGUES = { en, de }
+
+/**
+ * Look up a message and fill in its placeholders
+ * @param {string} locale - Locale id (see LOCALES)
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values; `count` also picks the plural form
+ * @returns {string} - The message, or the key itself if no catalogue has it
+ */
+export function translate(locale, key, params = {}) {
+  const catalogue = CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE]
+  let message = catalogue[key] ?? CATALOGUES[DEFAULT_LOCALE][key]
+  if (message === undefined) return key
+
+  if (typeof message === 'object') {
+    message = params.count === 1 ? message.one : message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  )
+}
+
+/**
+ * Check whether a message key exists
+ * @param {string} key - Message key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  return key in CATALOGUES[DEFAULT_LOCALE]
+}
+
+/**
+ * Bind translate to a locale, for components: t('button.solve-all')
+ * @param {string} locale - Locale id
+ * @returns {Function} - (key, params) => string
+ */
+export function getTranslator(locale) {
+  return (key, params) => translate(locale, key, params)
+}
+
+/**
+ * Pick the supported locale closest to the browser's language
+ * @returns {string} - Locale id
+ */
+export function detectLocale() {
+  const language = typeof navigator === 'undefined' ? '' : navigator.language || ''
+  const match = LOCALES.find(locale => language.toLowerCase().startsWith(locale.id))
+  return match ? match.id : DEFAULT_LOCALE
+}
@@ -0,0 +1,298 @@
+// German messages
+export default {
+  'cell': '({row},{col})',
+  'line.row': 'Zeile {number}',
+  'line.column': 'Spalte {number}',
+  'line.row.lower': 'Zeile {number}',
+  'line.column.lower': 'Spalte {number}',
+  'lines.row': 'Zeilen',
+  'lines.column': 'Spalten',
+  'lines.row.capitalized': 'Zeilen',
+  'lines.column.capitalized': 'Spalten',
+  'line-type.row': 'Zeile',
+  'line-type.column': 'Spalte',
+  'symbol.sun': 'Sonne',
+  'symbol.moon': 'Mond',
+  'symbols.sun': 'Sonnen',
+  'symbols.moon': 'Monde',
+  'position.row': 'Position',
+  'position.column': 'Zeile',
+  'positions.row': 'Positionen',
+  'positions.column': 'Zeilen',
+  'across.row': 'Spalte',
+  'across.column': 'Zeile',
+  'across-plural.row': 'Spalten',
+  'across-plural.column': 'Zeilen',
+  'end.row.start': 'Anfang',
+  'end.row.end': 'Ende',
+  'end.column.start': 'oberen Ende',
+  'end.column.end': 'unteren Ende',
+  'side.row.start': 'linken Ende',
+  'side.row.end': 'rechten Ende',
+  'side.column.start': 'oberen Ende',
+  'side.column.end': 'unteren Ende',
+  'orientation.row': 'waagerechte',
+  'orientation.column': 'senkrechte',
+  'adjacent.row.before': 'links daneben',
+  'adjacent.row.after': 'rechts daneben',
+  'adjacent.column.before': 'darüber',
+  'adjacent.column.after': 'darunter',
+  'relation.same': 'gleich',
+  'relation.opposite': 'verschieden',
+  'number.two': 'zwei',
+  'number.three': 'drei',
+  'list.and': '{items} und {last}',
+
+  'rule.no-three': 'Keine-drei-Regel',
+  'rule.parity': 'Paritätsregel',
+  'rule.constraint-chain': 'Bedingungsketten-Regel',
+  'rule.constraint-propagation': 'Bedingungsweitergabe',
+  'rule.edge-case': 'Randfall-Regel',
+  'rule.gap': 'Lückenregel',
+  'rule.two-equals-at-end': 'Zwei-Gleiche-am-Ende-Regel',
+  'rule.second-to-last-equals-first': 'Vorletzte-gleich-Erste-Regel',
+  'rule.modifier-balance': 'Ausgleichsregel mit Ungleich-Bedingung',
+  'rule.end-with-equals-constraint': 'Ende-mit-Gleich-Bedingung-Regel',
+  'rule.adjacent-equals-constraint': 'Benachbarte-Gleich-Bedingung-Regel',
+  'rule.line-enumeration': 'Aufzählungsregel',
+  'rule.proof-by-contradiction': 'Widerspruchsbeweis',
+
+  'step.guess': 'Annahme',
+  'step.backtrack': 'Rücknahme',
+  'step.equals-propagation': 'Bedingungsweitergabe (Gleich)',
+  'step.not-equals-propagation': 'Bedingungsweitergabe (Ungleich)',
+
+  'reason.guess': 'Keine logische Regel kommt weiter. Annahme: Zelle {cell} ist {value}. Führt das zu einem Widerspruch, nimmt der Löser die Annahme zurück und setzt stattdessen {other}.',
+  'reason.backtrack': {
+    one: 'Die Annahme {symbol} für Zelle {cell} führte zu einem Widerspruch, daher werden die Annahme und die {count} danach gefüllte Zelle zurückgenommen. Also muss Zelle {cell} {value} sein.',
+    other: 'Die Annahme {symbol} für Zelle {cell} führte zu einem Widerspruch, daher werden die Annahme und die {count} danach gefüllten Zellen zurückgenommen. Also muss Zelle {cell} {value} sein.'
+  },
+  'reason.no-three': '{line} hat zwei {symbols} an {positions} {first} und {second}. Damit nicht drei gleiche Symbole nebeneinander stehen, muss die Zelle an {position} {target} {value} sein.',
+  'reason.parity': '{line} hat bereits {max} {symbols} (das erlaubte Maximum). Die übrigen leeren Zellen dieser {lineType} müssen {values} sein. Fülle die Zelle an {position} {target}.',
+  'reason.equals-propagation': 'Zelle {source} ist {value} und durch eine Gleich-Bedingung (=) mit Zelle {target} verbunden. Also muss Zelle {target} ebenfalls {value} sein.',
+  'reason.not-equals-propagation': 'Zelle {source} ist {symbol} und durch eine Ungleich-Bedingung (×) mit Zelle {target} verbunden. Also muss Zelle {target} {value} sein.',
+  'reason.edge-case': '{line} hat an beiden Enden {symbol} ({positions} 1 und {length}). Um das Gleichgewicht zu wahren und Muster zu vermeiden, muss die {which} ({position} {target}) {value} sein.',
+  'edge-case.second': 'zweite Zelle',
+  'edge-case.second-to-last': 'vorletzte Zelle',
+  'reason.gap': '{line} hat {symbol} an {positions} {first} und {second} mit einer leeren Zelle dazwischen. Damit nicht drei gleiche Symbole nebeneinander stehen, muss die mittlere Zelle ({position} {target}) {value} sein.',
+  'reason.two-equals-at-end': '{line} hat zwei {symbols} am {end} ({positions} {first} und {second}). Um das Gleichgewicht zu wahren, muss die Zelle am anderen Ende ({position} {target}) {value} sein.',
+  'reason.second-to-last-equals-first': '{line} hat {symbol} an {position} {first} und {position} {second} (vorletzte). Um Muster zu vermeiden und das Gleichgewicht zu wahren, muss die letzte Zelle ({position} {target}) {value} sein.',
+  'reason.modifier-balance-pair': '{otherLine} fehlt noch ein Feld mit {symbol}, und {lineLower} hat eine Ungleich-Bedingung (×) zwischen den {acrossPlural} {edgeFirst} und {edgeSecond}. Da {across} {source} {symbol} ist und {lineLower} bereits die erlaubte Höchstzahl an {symbols} hat, muss {across} {target} {value} sein.',
+  'reason.modifier-balance-fill': '{line} hat {count} {symbols} und braucht genau ein weiteres Feld mit {symbol}. Die Ungleich-Bedingung (×) zwischen den {acrossPlural} {edgeFirst} und {edgeSecond} liefert genau ein Feld mit {symbol} (eine Zelle muss {symbol} sein, die andere {value}). Also müssen alle anderen leeren Zellen in {lineLower} {values} sein. Fülle {across} {target} mit {value}.',
+  'reason.end-with-equals-constraint': '{line} hat {symbol} am {knownEnd} ({across} {source}). Am {otherEnd} dieser {lineType} sind die Zellen der {acrossPlural} {edgeFirst} und {edgeSecond} durch eine {orientation} Gleich-Bedingung (=) verbunden, also müssen sie gleich sein. Damit nicht drei {symbols} nebeneinander stehen, müssen diese Zellen {values} sein. Fülle {across} {target}.',
+  'reason.adjacent-equals-constraint': '{line} hat {symbol} in {across} {source}. Direkt {where} sind die Zellen der {acrossPlural} {edgeFirst} und {edgeSecond} durch eine {orientation} Gleich-Bedingung (=) verbunden, also müssen sie gleich sein. Damit nicht drei {symbols} nebeneinander stehen, müssen diese Zellen {values} sein. Fülle {across} {target}.',
+  'reason.line-enumeration': {
+    one: '{line} lässt sich nur auf eine gültige Weise vervollständigen ({rules}). Dabei ist die Zelle an {position} {target} {value}.',
+    other: '{line} lässt sich nur auf {count} gültige Weisen vervollständigen ({rules}). In jeder davon ist die Zelle an {position} {target} {value}.'
+  },
+  'line-rule.balanced': 'mit gleich vielen Sonnen und Monden',
+  'line-rule.no-three': 'ohne drei gleiche Symbole nebeneinander',
+  'line-rule.max-run': 'ohne mehr als {max} gleiche Symbole nebeneinander',
+  'line-rule.unique': 'verschieden von jeder vollständigen {lineType}',
+  'line-rule.constraints': 'unter Einhaltung der Bedingungen innerhalb der {lineType}',
+  'reason.constraint-chain': 'Zelle {source} ist {symbol} und über eine Kette von Gleich- (=) und Ungleich-Bedingungen (×) mit {count} leeren Zellen verbunden. Entlang der Kette gilt: {conclusions}.',
+  'constraint-chain.same': {
+    one: '{cells} muss {symbol} sein (gerade Anzahl von × entlang der Kette)',
+    other: '{cells} müssen {symbol} sein (gerade Anzahl von × entlang der Kette)'
+  },
+  'constraint-chain.opposite': {
+    one: '{cells} muss {symbol} sein (ungerade Anzahl von × entlang der Kette)',
+    other: '{cells} müssen {symbol} sein (ungerade Anzahl von × entlang der Kette)'
+  },
+  'reason.proof-by-contradiction': 'Angenommen, Zelle {cell} wäre {assumed}: {consequence}, was gegen die Regeln verstößt. Also muss Zelle {cell} {value} sein.',
+  'contradiction.then': 'dann gilt: {violation}',
+  'contradiction.then-chain': 'dann {implications}. Danach gilt: {violation}',
+  'contradiction.implication': '{results} ({rule})',
+  'contradiction.would-be': 'wäre {cell} {value}',
+  'reason.group': 'Aus demselben Grund gilt: {results}.',
+  'group.result': {
+    one: '{cells} muss {value} sein',
+    other: '{cells} müssen {value} sein'
+  },
+
+  'violation.too-many-symbols': '{line} hat {count} {symbols}, erlaubt sind aber nur {max}',
+  'violation.three-in-a-row': '{line} hat {run} {symbols} nebeneinander an {positions} {first} bis {last}',
+  'violation.duplicate-line': '{lines} {first} und {second} sind identisch',
+  'violation.equals-violated': 'die Zellen {first} und {second} haben eine Gleich-Bedingung (=), sind aber {firstValue} und {secondValue}',
+  'violation.not-equals-violated': 'die Zellen {first} und {second} haben eine Ungleich-Bedingung (×), sind aber beide {value}',
+
+  'error.empty-grid': 'Das Gitter darf nicht vollständig leer sein',
+  'error.too-many-symbols': '{line} hat zu viele {symbols} ({count} > {max})',
+  'error.three-in-a-row': '{line} hat {count} {symbols} nebeneinander',
+  'error.duplicate-line': '{lines} {first} und {second} sind identisch',
+  'error.equals-violated': 'Die Zellen {first} und {second} müssen gleich sein (=)',
+  'error.not-equals-violated': 'Die Zellen {first} und {second} müssen verschieden sein (×)',
+  'error.constraint-cycle': 'Der Bedingungszyklus durch die Zellen {cells} ist nicht erfüllbar: Er enthält eine ungerade Anzahl von Ungleich-Bedingungen (×)',
+  'error.constraint-chain-violated': 'Verletzte Bedingungskette: Die Zellen {path} sind durch Bedingungen verbunden, daher müssen {first} und {second} {relation} sein, sind es aber nicht',
+
+  'a11y.board': 'Spielbrett, {rows} Zeilen mal {cols} Spalten',
+  'a11y.position': 'Zeile {row} Spalte {col}',
+  'a11y.cell': '{position}, {value}',
+  'a11y.empty': 'leer',
+  'a11y.locked': 'gesperrt',
+  'a11y.conflict': 'verletzt eine Regel',
+  'a11y.edge.equals': 'gleich wie die Zelle {side}',
+  'a11y.edge.notEquals': 'anders als die Zelle {side}',
+  'a11y.side.top': 'darüber',
+  'a11y.side.right': 'rechts',
+  'a11y.side.bottom': 'darunter',
+  'a11y.side.left': 'links',
+  'a11y.constraint': '{type} zwischen {from} und {to}',
+  'a11y.constraint.equals': 'Gleichheitszeichen',
+  'a11y.constraint.notEquals': 'Ungleichheitszeichen',
+
+  'header.subtitle': 'Rätsellöser',
+  'header.language': 'Sprache',
+
+  'toolbar.title': 'Bedingungen',
+  'toolbar.equals': 'Gleich',
+  'toolbar.not-equals': 'Verschieden',
+  'toolbar.tap-edges': 'Kanten antippen',
+  'toolbar.tap-edges-hint': 'Tippe zwischen zwei Zellen, um zwischen keiner → = → × → keiner zu wechseln. Halte eine Bedingung gedrückt, um sie zu entfernen.',
+
+  'generator.title': 'Neues Rätsel',
+  'generator.size': 'Größe',
+  'generator.difficulty': 'Schwierigkeit',
+  'generator.seed': 'Startwert',
+  'generator.seed-placeholder': 'zufällig',
+  'generator.generate': 'Neues Rätsel',
+  'generator.generating': 'Wird erzeugt...',
+
+  'grade.Easy': 'Leicht',
+  'grade.Medium': 'Mittel',
+  'grade.Hard': 'Schwer',
+  'grade.Expert': 'Experte',
+  'grade.Unsolvable': 'Unlösbar',
+
+  'grid-size.label': 'Gittergröße',
+  'grid-size.custom': 'Eigene…',
+  'grid-size.rows': 'Zeilen',
+  'grid-size.columns': 'Spalten',
+  'grid-size.apply': 'Übernehmen',
+  'grid-size.invalid': 'Gib eine gerade Anzahl von Zeilen und Spalten zwischen {min} und {max} ein',
+  'ruleset.label': 'Regeln',
+  'ruleset.custom': 'Eigene…',
+  'ruleset.max-run': 'Max. Folge',
+  'ruleset.balanced': 'Ausgeglichene Linien',
+  'ruleset.unique-lines': 'Eindeutige Linien',
+
+  'rule-settings.title': 'Löserregeln',
+  'rule-settings.hint': 'Die Regeln werden von oben nach unten versucht. Deaktivierte Regeln werden von „Alles lösen“ und „Schrittweise lösen“ übersprungen, ebenso Regeln, die unter dem gewählten Regelwerk nicht gelten.',
+  'rule-settings.difficulty': 'Schwierigkeit {difficulty}',
+  'rule-settings.unsupported': 'nicht für dieses Regelwerk',
+  'rule-settings.guessing': 'Raten und Zurücknehmen',
+  'rule-settings.guessing-when': 'wenn keine Regel greift',
+  'rule-settings.group-steps': 'Alle Zellen einer Folgerung auf einmal füllen',
+  'rule-settings.group-steps-when': 'sonst eine Zelle pro Schritt',
+
+  'library.title': 'Rätselbibliothek',
+  'library.hint': 'Gespeicherte Rätsel bleiben in diesem Browser. Beim Öffnen geht es dort weiter, wo du aufgehört hast.',
+  'library.name': 'Name',
+  'library.name-placeholder': 'Mein Rätsel',
+  'library.tags': 'Schlagwörter',
+  'library.tags-placeholder': 'durch Kommas getrennt',
+  'library.save': 'Aktuelles Rätsel speichern',
+  'library.search': 'Nach Name oder Schlagwort suchen',
+  'library.empty': 'Noch keine gespeicherten Rätsel.',
+  'library.no-match': 'Kein gespeichertes Rätsel passt zur Suche.',
+  'library.open': 'Öffnen',
+  'library.delete': 'Löschen',
+  'library.confirm-delete': '„{name}“ aus der Bibliothek löschen?',
+  'library.solved': 'Gelöst',
+  'library.in-progress': 'Angefangen',
+  'library.current': 'Auf dem Brett',
+  'library.saved-at': 'Gespeichert am {date}',
+  'library.untitled': 'Unbenanntes Rätsel',
+
+  'steps.title': 'Lösungsschritte',
+  'steps.empty': 'Noch keine Schritte. Starte das Lösen, um hier die Schritte zu sehen.',
+  'steps.number': 'Schritt {number}',
+  'steps.cells': { one: 'Zelle', other: 'Zellen' },
+  'steps.group': '{count} Zellen auf einmal',
+  'steps.export-json': 'Als JSON exportieren',
+  'steps.export-markdown': 'Als Markdown exportieren',
+
+  'export.title': 'Tango-Lösungsweg',
+  'export.summary': {
+    one: 'Ein {rows}x{cols}-Rätsel, gelöst in {count} Schritt.',
+    other: 'Ein {rows}x{cols}-Rätsel, gelöst in {count} Schritten.'
+  },
+  'export.rules': 'Regeln',
+  'export.start': 'Ausgangsstellung',
+  'export.legend': 'S = Sonne, M = Mond, . = leer; = und x zwischen Zellen sind Gleich- und Ungleich-Bedingungen. Die in einem Schritt gefüllten Zellen stehen in eckigen Klammern.',
+
+  'board.undo': 'Rückgängig',
+  'board.redo': 'Wiederholen',
+  'board.undo-shortcut': 'Rückgängig (Strg+Z)',
+  'board.redo-shortcut': 'Wiederholen (Strg+Y)',
+  'board.solve-all-shortcut': 'Alles lösen (Strg+Enter)',
+  'board.solve-step-by-step-shortcut': 'Schrittweise lösen (N)',
+  'board.next-step-shortcut': 'Nächster Schritt (N)',
+  'board.stop-shortcut': 'Stopp (Esc)',
+  'board.pending-edge': 'Drücke eine Pfeiltaste, um {mark} auf diese Seite der gewählten Zelle zu setzen, oder Esc zum Abbrechen.',
+  'board.pending-edge-none': 'Drücke eine Pfeiltaste, um die Bedingung auf dieser Seite der gewählten Zelle zu entfernen, oder Esc zum Abbrechen.',
+  'board.clear': 'Gitter leeren',
+  'board.solve-all': 'Alles lösen',
+  'board.solving': 'Wird gelöst...',
+  'board.solve-step-by-step': 'Schrittweise lösen',
+  'board.check-uniqueness': 'Eindeutigkeit prüfen',
+  'board.grade': 'Rätsel bewerten',
+  'board.next-step': 'Nächster Schritt',
+  'board.stop': 'Stopp',
+  'board.exit-history': 'Verlaufsansicht verlassen',
+  'board.solved': 'Rätsel gelöst!',
+  'board.already-solved': 'Das Rätsel ist bereits gelöst!',
+  'board.unsolvable-guessing': 'Das Rätsel konnte nicht gelöst werden. Jede mögliche Annahme führte zu einem Widerspruch.',
+  'board.unsolvable-rules': 'Das Rätsel konnte mit den aktivierten Regeln nicht gelöst werden. Aktiviere weitere Regeln oder das Raten, um fortzufahren.',
+  'board.no-more-moves-guessing': 'Es sind keine weiteren Züge möglich. Jede mögliche Annahme führte zu einem Widerspruch, das Rätsel ist also unlösbar.',
+  'board.no-more-moves-rules': 'Mit den aktivierten Regeln sind keine weiteren Züge möglich. Aktiviere weitere Regeln oder das Raten, um fortzufahren.',
+  'board.error-generating': 'Fehler beim Erzeugen des Rätsels: {message}',
+  'board.error-solving': 'Fehler beim Lösen des Rätsels: {message}',
+  'board.error-step': 'Fehler beim Lösungsschritt: {message}',
+  'board.import': 'Rätsel importieren',
+  'board.export-text': 'Als Text exportieren',
+  'board.export-json': 'Als JSON exportieren',
+  'board.error-import': 'Das Rätsel konnte nicht importiert werden: {message}',
+  'board.error-export': 'Das Rätsel konnte nicht exportiert werden: {message}',
+  'board.copy-link': 'Link kopieren',
+  'board.link-copied': 'Link kopiert!',
+  'board.error-link': 'Der geteilte Link konnte nicht geöffnet werden: {message}',
+  'board.assume': 'Angenommen, Zelle {cell} ist {value}.',
+  'board.contradiction': 'Widerspruch: {violation}.',
+
+  'uniqueness.none': 'Dieses Rätsel hat keine Lösung.',
+  'uniqueness.unique': 'Dieses Rätsel hat genau eine Lösung.',
+  'uniqueness.multiple': 'Dieses Rätsel hat mehr als eine Lösung. {count} markierte Zellen unterscheiden sich zwischen zwei davon.',
+
+  'grade.score': 'Punktzahl {score}',
+  'grade.steps': { one: '{count} Schritt', other: '{count} Schritte' },
+  'grade.bottlenecks': '{count} mit nur einem möglichen Weg',
+  'grade.guesses': { one: '{count} Annahme', other: '{count} Annahmen' },
+  'grade.seed': 'Startwert {seed}',
+
+  'hint.button': 'Tipp',
+  'hint.button.rule': 'Regel nennen',
+  'hint.button.cells': 'Zellen zeigen',
+  'hint.button.value': 'Wert aufdecken',
+  'hint.region': 'In {region} lässt sich etwas ableiten.',
+  'hint.rule': 'Schau in {region}. Passende Regel: {rule}.',
+  'hint.cells': '{rule}: Die markierten Zellen verraten, was als Nächstes kommt.',
+  'hint.value': '{rule}: {explanation}',
+  'hint.none': 'Kein Tipp verfügbar: Die aktivierten Regeln finden von hier aus keinen nächsten Zug.',
+  'region.row': 'Zeile {number}',
+  'region.column': 'Spalte {number}',
+  'region.area': 'dem Bereich von {from} bis {to}',
+
+  'instructions.title': 'Anleitung:',
+  'instructions.place': 'Klicke auf Zellen, um Sonne ☀️ oder Mond 🌙 zu setzen',
+  'instructions.drag': 'Ziehe „=“ oder „×“ aus der Werkzeugleiste auf die Kante zwischen zwei Zellen',
+  'instructions.remove': 'Klicke auf eine Bedingung, um sie zu entfernen',
+  'instructions.touch': 'Auf einem Touchscreen ziehst du „=“ oder „×“ mit dem Finger oder schaltest „Kanten antippen“ ein und tippst zwischen zwei Zellen; halte eine Bedingung gedrückt, um sie zu entfernen',
+  'instructions.undo': 'Mit Strg+Z machst du eine Änderung rückgängig, mit Strg+Y stellst du sie wieder her',
+  'instructions.keyboard': 'Tastatur: Pfeiltasten wechseln die Zelle; S oder 1 setzt eine Sonne, M oder 2 einen Mond, Leertaste wechselt durch und Rücktaste leert',
+  'instructions.keyboard-edges': 'Umschalt+Pfeil wechselt die Bedingung auf dieser Seite der Zelle zwischen =, × und keiner; oder tippe =, x oder - und dann einen Pfeil',
+  'instructions.keyboard-solve': 'Strg+Enter löst das Rätsel, N macht den nächsten Schritt und Esc stoppt',
+  'instructions.balanced': 'Jede Zeile und Spalte muss gleich viele Sonnen und Monde haben',
+  'instructions.max-run': 'Nicht mehr als {count} gleiche Symbole nebeneinander',
+  'instructions.unique-lines': 'Keine zwei Zeilen und keine zwei Spalten dürfen identisch sein'
+}
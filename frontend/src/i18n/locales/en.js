@@ -0,0 +1,307 @@
+// English messages. Every other locale falls back to these for keys it lacks.
+export default {
+  // Pieces of text the longer messages are built from
+  'cell': '({row},{col})',
+  'line.row': 'Row {number}',
+  'line.column': 'Column {number}',
+  'line.row.lower': 'row {number}',
+  'line.column.lower': 'column {number}',
+  'lines.row': 'rows',
+  'lines.column': 'columns',
+  'lines.row.capitalized': 'Rows',
+  'lines.column.capitalized': 'Columns',
+  'line-type.row': 'row',
+  'line-type.column': 'column',
+  'symbol.sun': 'sun',
+  'symbol.moon': 'moon',
+  'symbols.sun': 'suns',
+  'symbols.moon': 'moons',
+  'position.row': 'position',
+  'position.column': 'row',
+  'positions.row': 'positions',
+  'positions.column': 'rows',
+  'across.row': 'column',
+  'across.column': 'row',
+  'across-plural.row': 'columns',
+  'across-plural.column': 'rows',
+  'end.row.start': 'start',
+  'end.row.end': 'end',
+  'end.column.start': 'top',
+  'end.column.end': 'bottom',
+  'side.row.start': 'left',
+  'side.row.end': 'right',
+  'side.column.start': 'top',
+  'side.column.end': 'bottom',
+  'orientation.row': 'horizontal',
+  'orientation.column': 'vertical',
+  'adjacent.row.before': 'to the left',
+  'adjacent.row.after': 'to the right',
+  'adjacent.column.before': 'above it',
+  'adjacent.column.after': 'below it',
+  'relation.same': 'equal',
+  'relation.opposite': 'different',
+  'number.two': 'two',
+  'number.three': 'three',
+  'list.and': '{items} and {last}',
+
+  // Rule names
+  'rule.no-three': 'No-Three Rule',
+  'rule.parity': 'Parity Rule',
+  'rule.constraint-chain': 'Constraint Chain Rule',
+  'rule.constraint-propagation': 'Constraint Propagation',
+  'rule.edge-case': 'Edge Case Rule',
+  'rule.gap': 'Gap Rule',
+  'rule.two-equals-at-end': 'Two Equals at End Rule',
+  'rule.second-to-last-equals-first': 'Second-to-Last Equals First Rule',
+  'rule.modifier-balance': 'Modifier Balance Rule',
+  'rule.end-with-equals-constraint': 'End with Equals Constraint Rule',
+  'rule.adjacent-equals-constraint': 'Adjacent Equals Constraint Rule',
+  'rule.line-enumeration': 'Line Enumeration Rule',
+  'rule.proof-by-contradiction': 'Proof by Contradiction',
+
+  // Step names that differ from the name of the rule behind them
+  'step.guess': 'Guess',
+  'step.backtrack': 'Backtrack',
+  'step.equals-propagation': 'Constraint Propagation (Equals)',
+  'step.not-equals-propagation': 'Constraint Propagation (Not Equals)',
+
+  // Solving step explanations (see utils/explanations.js)
+  'reason.guess': 'No logical rule can make progress. Guessing that cell {cell} is {value}. If this leads to a contradiction, the solver will backtrack and use {other} instead.',
+  'reason.backtrack': {
+    one: 'Guessing {symbol} for cell {cell} led to a contradiction, so the guess and the {count} cell filled after it are undone. Therefore, cell {cell} must be {value}.',
+    other: 'Guessing {symbol} for cell {cell} led to a contradiction, so the guess and the {count} cells filled after it are undone. Therefore, cell {cell} must be {value}.'
+  },
+  'reason.no-three': '{line} has two {symbols} at {positions} {first} and {second}. To avoid three in a row, the cell at {position} {target} must be {value}.',
+  'reason.parity': '{line} already has {max} {symbols} (the maximum allowed). The remaining empty cells in this {lineType} must be {values}. Filling cell at {position} {target}.',
+  'reason.equals-propagation': 'Cell {source} is {value} and has an equals constraint with cell {target}. Therefore, cell {target} must also be {value}.',
+  'reason.not-equals-propagation': 'Cell {source} is {symbol} and has a not-equals constraint (×) with cell {target}. Therefore, cell {target} must be {value}.',
+  'reason.edge-case': '{line} has {symbol} at both ends ({positions} 1 and {length}). To maintain balance and avoid patterns, the {which} ({position} {target}) must be {value}.',
+  'edge-case.second': 'second cell',
+  'edge-case.second-to-last': 'second-to-last cell',
+  'reason.gap': '{line} has {symbol} at {positions} {first} and {second} with an empty cell between them. To avoid three in a row, the middle cell ({position} {target}) must be {value}.',
+  'reason.two-equals-at-end': '{line} has two {symbols} at the {end} ({positions} {first} and {second}). To maintain balance, the cell at the opposite end ({position} {target}) must be {value}.',
+  'reason.second-to-last-equals-first': '{line} has {symbol} at {position} {first} and {position} {second} (second to last). To avoid patterns and maintain balance, the last cell ({position} {target}) must be {value}.',
+  'reason.modifier-balance-pair': '{otherLine} needs one more {symbol}, and {lineLower} has a not-equals constraint (×) at {acrossPlural} {edgeFirst} and {edgeSecond}. Since {across} {source} is {symbol} and {lineLower} already has the maximum allowed {symbols}, {across} {target} must be {value}.',
+  'reason.modifier-balance-fill': '{line} has {count} {symbols} and needs exactly 1 more. The not-equals constraint (×) at {acrossPlural} {edgeFirst} and {edgeSecond} will provide exactly 1 {symbol} (one cell must be {symbol}, one must be {value}). Therefore, all other empty cells in {lineLower} must be {values}. Filling {across} {target} with {value}.',
+  'reason.end-with-equals-constraint': '{line} has {symbol} at the {knownEnd} ({across} {source}). At the {otherEnd} of this {lineType}, the cells at {acrossPlural} {edgeFirst} and {edgeSecond} are connected by a {orientation} equals constraint (=), so they must be equal. To avoid three {symbols} in a row, these {otherEnd} cells must be {values}. Filling {across} {target}.',
+  'reason.adjacent-equals-constraint': '{line} has {symbol} at {across} {source}. Directly {where}, the cells at {acrossPlural} {edgeFirst} and {edgeSecond} are connected by a {orientation} equals constraint (=), so they must be equal. To avoid three {symbols} in a row, these cells must be {values}. Filling {across} {target}.',
+  'reason.line-enumeration': {
+    one: '{line} can only be completed in {count} valid way ({rules}). In every one of them, the cell at {position} {target} is {value}.',
+    other: '{line} can only be completed in {count} valid ways ({rules}). In every one of them, the cell at {position} {target} is {value}.'
+  },
+  'line-rule.balanced': 'keeping the balance',
+  'line-rule.no-three': 'avoiding three in a row',
+  'line-rule.max-run': 'avoiding more than {max} in a row',
+  'line-rule.unique': 'differing from every complete {lineType}',
+  'line-rule.constraints': 'respecting the constraints inside the {lineType}',
+  'reason.constraint-chain': 'Cell {source} is {symbol} and is linked to {count} empty cells through a chain of equals (=) and not-equals (×) constraints. Following the chain, {conclusions}.',
+  'constraint-chain.same': '{cells} must be {symbol} (an even number of × along the chain)',
+  'constraint-chain.opposite': '{cells} must be {symbol} (an odd number of × along the chain)',
+  'reason.proof-by-contradiction': 'Suppose cell {cell} were {assumed}: {consequence}, which breaks the rules. Therefore, cell {cell} must be {value}.',
+  'contradiction.then': 'then {violation}',
+  'contradiction.then-chain': 'then {implications}. At that point {violation}',
+  'contradiction.implication': '{results} ({rule})',
+  'contradiction.would-be': '{cell} would be {value}',
+  'reason.group': 'By the same reasoning, {results}.',
+  'group.result': '{cells} must be {value}',
+
+  // Rules broken while the solver follows an assumption
+  'violation.too-many-symbols': '{line} has {count} {symbols} but only {max} are allowed',
+  'violation.three-in-a-row': '{line} has {run} {symbols} in a row at {positions} {first} to {last}',
+  'violation.duplicate-line': '{lines} {first} and {second} are identical',
+  'violation.equals-violated': 'cells {first} and {second} have an equals constraint (=) but are {firstValue} and {secondValue}',
+  'violation.not-equals-violated': 'cells {first} and {second} have a not-equals constraint (×) but are both {value}',
+
+  // Validation errors and live conflicts (see utils/validator.js)
+  'error.empty-grid': 'Grid cannot be completely empty',
+  'error.too-many-symbols': '{line} has too many {symbols} ({count} > {max})',
+  'error.three-in-a-row': '{line} has {count} {symbols} in a row',
+  'error.duplicate-line': '{lines} {first} and {second} are identical',
+  'error.equals-violated': 'Cells {first} and {second} must be equal (=)',
+  'error.not-equals-violated': 'Cells {first} and {second} must be different (×)',
+  'error.constraint-cycle': 'Constraint cycle through cells {cells} cannot be satisfied: it has an odd number of not-equals constraints (×)',
+  'error.constraint-chain-violated': 'Constraint chain violation: Cells {path} are linked by constraints, so {first} and {second} must be {relation} but they are not',
+
+  // Screen reader labels
+  'a11y.board': 'Puzzle board, {rows} rows by {cols} columns',
+  'a11y.position': 'row {row} column {col}',
+  'a11y.cell': '{position}, {value}',
+  'a11y.empty': 'empty',
+  'a11y.locked': 'locked',
+  'a11y.conflict': 'breaks a rule',
+  'a11y.edge.equals': 'same as the cell {side}',
+  'a11y.edge.notEquals': 'opposite to the cell {side}',
+  'a11y.side.top': 'above',
+  'a11y.side.right': 'to the right',
+  'a11y.side.bottom': 'below',
+  'a11y.side.left': 'to the left',
+  'a11y.constraint': '{type} between {from} and {to}',
+  'a11y.constraint.equals': 'Equals sign',
+  'a11y.constraint.notEquals': 'Not-equals sign',
+
+  // Header
+  'header.subtitle': 'Puzzle Solver',
+  'header.language': 'Language',
+
+  // Constraint toolbar
+  'toolbar.title': 'Constraints',
+  'toolbar.equals': 'Same',
+  'toolbar.not-equals': 'Different',
+  'toolbar.tap-edges': 'Tap Edges',
+  'toolbar.tap-edges-hint': 'Tap between two cells to cycle none → = → × → none. Press and hold a constraint to remove it.',
+
+  // Puzzle generator
+  'generator.title': 'New Puzzle',
+  'generator.size': 'Size',
+  'generator.difficulty': 'Difficulty',
+  'generator.seed': 'Seed',
+  'generator.seed-placeholder': 'random',
+  'generator.generate': 'New Puzzle',
+  'generator.generating': 'Generating...',
+
+  // Difficulty grades (see utils/grader.js)
+  'grade.Easy': 'Easy',
+  'grade.Medium': 'Medium',
+  'grade.Hard': 'Hard',
+  'grade.Expert': 'Expert',
+  'grade.Unsolvable': 'Unsolvable',
+
+  // Grid size and ruleset selectors
+  'grid-size.label': 'Grid size',
+  'grid-size.custom': 'Custom…',
+  'grid-size.rows': 'Rows',
+  'grid-size.columns': 'Columns',
+  'grid-size.apply': 'Apply',
+  'grid-size.invalid': 'Enter an even number of rows and columns from {min} to {max}',
+  'ruleset.label': 'Rules',
+  'ruleset.custom': 'Custom…',
+  'ruleset.max-run': 'Max run',
+  'ruleset.balanced': 'Balanced lines',
+  'ruleset.unique-lines': 'Unique lines',
+
+  // Solver rules panel
+  'rule-settings.title': 'Solver Rules',
+  'rule-settings.hint': 'Rules are tried from top to bottom. Disabled rules are skipped by Solve All and Solve Step-by-Step, and so are rules that do not hold under the selected ruleset.',
+  'rule-settings.difficulty': 'difficulty {difficulty}',
+  'rule-settings.unsupported': 'not for this ruleset',
+  'rule-settings.guessing': 'Guess and Backtrack',
+  'rule-settings.guessing-when': 'when no rule applies',
+  'rule-settings.group-steps': 'Fill All Cells of a Deduction at Once',
+  'rule-settings.group-steps-when': 'otherwise one cell per step',
+
+  // Puzzle library
+  'library.title': 'Puzzle Library',
+  'library.hint': 'Saved puzzles stay in this browser. Opening one continues where you left it.',
+  'library.name': 'Name',
+  'library.name-placeholder': 'My puzzle',
+  'library.tags': 'Tags',
+  'library.tags-placeholder': 'comma, separated',
+  'library.save': 'Save Current Puzzle',
+  'library.search': 'Search by name or tag',
+  'library.empty': 'No saved puzzles yet.',
+  'library.no-match': 'No saved puzzle matches the search.',
+  'library.open': 'Open',
+  'library.delete': 'Delete',
+  'library.confirm-delete': 'Delete "{name}" from the library?',
+  'library.solved': 'Solved',
+  'library.in-progress': 'In progress',
+  'library.current': 'On the board',
+  'library.saved-at': 'Saved {date}',
+  'library.untitled': 'Untitled puzzle',
+
+  // Step history
+  'steps.title': 'Solving Steps',
+  'steps.empty': 'No steps yet. Start solving to see steps here.',
+  'steps.number': 'Step {number}',
+  'steps.cells': { one: 'Cell', other: 'Cells' },
+  'steps.group': '{count} cells at once',
+  'steps.export-json': 'Export JSON',
+  'steps.export-markdown': 'Export Markdown',
+
+  'export.title': 'Tango Solve Walkthrough',
+  'export.summary': {
+    one: 'A {rows}x{cols} puzzle solved in {count} step.',
+    other: 'A {rows}x{cols} puzzle solved in {count} steps.'
+  },
+  'export.rules': 'Rules',
+  'export.start': 'Starting Position',
+  'export.legend': 'S = sun, M = moon, . = empty; = and x between cells are equals and not-equals constraints. Cells filled by a step are shown in brackets.',
+
+  // Game board
+  'board.undo': 'Undo',
+  'board.redo': 'Redo',
+  'board.undo-shortcut': 'Undo (Ctrl+Z)',
+  'board.redo-shortcut': 'Redo (Ctrl+Y)',
+  'board.solve-all-shortcut': 'Solve All (Ctrl+Enter)',
+  'board.solve-step-by-step-shortcut': 'Solve Step-by-Step (N)',
+  'board.next-step-shortcut': 'Next Step (N)',
+  'board.stop-shortcut': 'Stop (Esc)',
+  'board.pending-edge': 'Press an arrow key to put {mark} on that side of the selected cell, or Esc to cancel.',
+  'board.pending-edge-none': 'Press an arrow key to remove the constraint on that side of the selected cell, or Esc to cancel.',
+  'board.clear': 'Clear Grid',
+  'board.solve-all': 'Solve All',
+  'board.solving': 'Solving...',
+  'board.solve-step-by-step': 'Solve Step-by-Step',
+  'board.check-uniqueness': 'Check Uniqueness',
+  'board.grade': 'Grade Puzzle',
+  'board.next-step': 'Next Step',
+  'board.stop': 'Stop',
+  'board.exit-history': 'Exit History View',
+  'board.solved': 'Puzzle solved!',
+  'board.already-solved': 'Puzzle is already solved!',
+  'board.unsolvable-guessing': 'Puzzle could not be solved. Every possible guess led to a contradiction.',
+  'board.unsolvable-rules': 'Puzzle could not be solved with the enabled rules. Enable more rules or guessing to continue.',
+  'board.no-more-moves-guessing': 'No more moves can be made. Every possible guess led to a contradiction, so the puzzle is unsolvable.',
+  'board.no-more-moves-rules': 'No more moves can be made with the enabled rules. Enable more rules or guessing to continue.',
+  'board.error-generating': 'Error generating puzzle: {message}',
+  'board.error-solving': 'Error solving puzzle: {message}',
+  'board.error-step': 'Error solving step: {message}',
+  'board.import': 'Import Puzzle',
+  'board.export-text': 'Export as Text',
+  'board.export-json': 'Export as JSON',
+  'board.error-import': 'Could not import the puzzle: {message}',
+  'board.error-export': 'Could not export the puzzle: {message}',
+  'board.copy-link': 'Copy Link',
+  'board.link-copied': 'Link Copied!',
+  'board.error-link': 'Could not open the shared link: {message}',
+  'board.assume': 'Assume cell {cell} is {value}.',
+  'board.contradiction': 'Contradiction: {violation}.',
+
+  'uniqueness.none': 'This puzzle has no solution.',
+  'uniqueness.unique': 'This puzzle has exactly one solution.',
+  'uniqueness.multiple': 'This puzzle has more than one solution. {count} highlighted cells differ between two of them.',
+
+  'grade.score': 'Score {score}',
+  'grade.steps': { one: '{count} step', other: '{count} steps' },
+  'grade.bottlenecks': '{count} with a single way forward',
+  'grade.guesses': { one: '{count} guess', other: '{count} guesses' },
+  'grade.seed': 'Seed {seed}',
+
+  // Hints (see utils/hints.js)
+  'hint.button': 'Hint',
+  'hint.button.rule': 'Name the Rule',
+  'hint.button.cells': 'Show the Cells',
+  'hint.button.value': 'Reveal the Value',
+  'hint.region': 'There is a deduction to be made in {region}.',
+  'hint.rule': 'Look at {region}. Rule to use: {rule}.',
+  'hint.cells': '{rule}: the highlighted cells tell you what goes next.',
+  'hint.value': '{rule}: {explanation}',
+  'hint.none': 'No hint available: the enabled rules cannot find the next move from here.',
+  'region.row': 'row {number}',
+  'region.column': 'column {number}',
+  'region.area': 'the area from {from} to {to}',
+
+  // Instructions
+  'instructions.title': 'Instructions:',
+  'instructions.place': 'Click cells to place sun ☀️ or moon 🌙 symbols',
+  'instructions.drag': 'Drag "=" or "×" from the toolbar and drop on edges between cells',
+  'instructions.remove': 'Click a constraint to remove it',
+  'instructions.touch': 'On a touch screen, drag "=" or "×" with your finger, or turn on "Tap Edges" and tap between two cells; press and hold a constraint to remove it',
+  'instructions.undo': 'Press Ctrl+Z to undo a change and Ctrl+Y to redo it',
+  'instructions.keyboard': 'Keyboard: arrow keys move between cells; S or 1 places a sun, M or 2 a moon, Space cycles and Backspace clears',
+  'instructions.keyboard-edges': 'Shift+arrow cycles the constraint on that side of the cell through =, × and none; or type =, x or - and then an arrow',
+  'instructions.keyboard-solve': 'Ctrl+Enter solves the puzzle, N takes the next step and Esc stops',
+  'instructions.balanced': 'Each row and column must have equal suns and moons',
+  'instructions.max-run': 'No more than {count} identical symbols in a row',
+  'instructions.unique-lines': 'No two rows, and no two columns, may be identical'
+}
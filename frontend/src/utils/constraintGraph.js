@@ -0,0 +1,146 @@
+/**
+ * CONSTRAINT GRAPH
+ *
+ * Links cells through chains of equals (=) and not-equals (×) constraints
+ * using a union-find structure that also tracks parity: two cells in the same
+ * group are known to be the same when their parities match, and opposite when
+ * they differ, even if they are not directly next to each other.
+ */
+
+const cellKey = (row, col) => `${row},${col}`
+const keyToCell = (key) => key.split(',').map(Number)
+
+/**
+ * Build the parity view of a constraints object
+ * @param {Object} constraints - { equals: [[r1,c1,r2,c2], ...], notEquals: [[r1,c1,r2,c2], ...] }
+ * @returns {Object} - { getRelation, getGroup, getPath, conflicts }
+ *   - getRelation([r1, c1], [r2, c2]) -> 'same', 'opposite' or null if not linked
+ *   - getGroup([row, col]) -> [{ cell: [row, col], opposite: boolean }], opposite
+ *     meaning the cell must hold the opposite value of the given cell
+ *   - getPath([r1, c1], [r2, c2]) -> cells along the constraints linking the two
+ *   - conflicts: [{ constraint, type, cells }] for each constraint that closes a
+ *     cycle which cannot be satisfied (e.g. an odd number of × around a loop)
+ */
+export function buildConstraintGraph(constraints) {
+  const parent = new Map()
+  const parity = new Map() // 0 = same as parent, 1 = opposite of parent
+  const treeLinks = new Map() // Constraints used to join groups, for finding paths
+  const conflicts = []
+
+  const addCell = (key) => {
+    if (!parent.has(key)) {
+      parent.set(key, key)
+      parity.set(key, 0)
+      treeLinks.set(key, [])
+    }
+  }
+
+  const find = (key) => {
+    const parentKey = parent.get(key)
+    if (parentKey === key) {
+      return { root: key, parity: 0 }
+    }
+
+    const { root, parity: parentParity } = find(parentKey)
+    const totalParity = parity.get(key) ^ parentParity
+    parent.set(key, root)
+    parity.set(key, totalParity)
+    return { root, parity: totalParity }
+  }
+
+  const getPathKeys = (fromKey, toKey) => {
+    const previous = new Map([[fromKey, null]])
+    const queue = [fromKey]
+
+    while (queue.length > 0) {
+      const key = queue.shift()
+      if (key === toKey) break
+
+      for (const nextKey of treeLinks.get(key)) {
+        if (!previous.has(nextKey)) {
+          previous.set(nextKey, key)
+          queue.push(nextKey)
+        }
+      }
+    }
+
+    if (!previous.has(toKey)) return []
+
+    const path = []
+    for (let key = toKey; key !== null; key = previous.get(key)) {
+      path.unshift(key)
+    }
+    return path
+  }
+
+  const link = (constraint, opposite) => {
+    const [r1, c1, r2, c2] = constraint
+    const key1 = cellKey(r1, c1)
+    const key2 = cellKey(r2, c2)
+    addCell(key1)
+    addCell(key2)
+
+    const group1 = find(key1)
+    const group2 = find(key2)
+    const relation = opposite ? 1 : 0
+
+    if (group1.root === group2.root) {
+      if ((group1.parity ^ group2.parity) !== relation) {
+        conflicts.push({
+          constraint,
+          type: opposite ? 'notEquals' : 'equals',
+          cells: getPathKeys(key1, key2).map(keyToCell)
+        })
+      }
+      return
+    }
+
+    parent.set(group1.root, group2.root)
+    parity.set(group1.root, group1.parity ^ group2.parity ^ relation)
+    treeLinks.get(key1).push(key2)
+    treeLinks.get(key2).push(key1)
+  }
+
+  for (const constraint of constraints.equals) {
+    link(constraint, false)
+  }
+  for (const constraint of constraints.notEquals) {
+    link(constraint, true)
+  }
+
+  const getRelation = ([r1, c1], [r2, c2]) => {
+    const key1 = cellKey(r1, c1)
+    const key2 = cellKey(r2, c2)
+    if (!parent.has(key1) || !parent.has(key2)) return null
+
+    const group1 = find(key1)
+    const group2 = find(key2)
+    if (group1.root !== group2.root) return null
+
+    return group1.parity === group2.parity ? 'same' : 'opposite'
+  }
+
+  const getGroup = ([row, col]) => {
+    const key = cellKey(row, col)
+    if (!parent.has(key)) return [{ cell: [row, col], opposite: false }]
+
+    const { root, parity: cellParity } = find(key)
+    const group = []
+    for (const otherKey of parent.keys()) {
+      const other = find(otherKey)
+      if (other.root === root) {
+        group.push({ cell: keyToCell(otherKey), opposite: other.parity !== cellParity })
+      }
+    }
+    return group
+  }
+
+  const getPath = ([r1, c1], [r2, c2]) => {
+    const key1 = cellKey(r1, c1)
+    const key2 = cellKey(r2, c2)
+    if (!parent.has(key1) || !parent.has(key2)) return []
+    return getPathKeys(key1, key2).map(keyToCell)
+  }
+
+  return { getRelation, getGroup, getPath, conflicts }
+}
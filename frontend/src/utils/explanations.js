@@ -0,0 +1,460 @@
+/**
+ * STEP EXPLANATIONS
+ *
+ * Every solving step carries a structured reason, and its prose explanation is
+ * generated from that reason: the message `reason.<type>` of the catalogue
+ * (see i18n) filled with params taken from the reason. Code that needs to know
+ * why a step was made (the UI, exports, tests) can read the reason instead of
+ * parsing the text, and the same reason can be explained in any locale.
+ *
+ * Broken rules are described the same way: `violation.<code>` for the ones the
+ * solver runs into, `error.<code>` for validation errors and live conflicts.
+ *
+ * A reason is an object:
+ * {
+ *   type: 'no-three',                  // Which message explains it (see REASON_PARAMS)
+ *   ruleId: 'no-three',                // Id of the registered rule (null for guesses and backtracks)
+ *   line: { type, index, length },     // Row or column the reasoning happens in, if any
+ *   cells: [[row, col], ...],          // Cells the reasoning refers to, in the order the text names them
+ *   target: [row, col],                // Cell that is filled
+ *   value: 'sun' | 'moon',             // Value placed in the target
+ *   symbol: 'sun' | 'moon',            // Symbol the reasoning starts from, if any
+ *   counts: { ... },                   // Numbers the reasoning uses
+ *   edges: [[r1, c1, r2, c2], ...]     // Constraints the reasoning uses
+ * }
+ *
+ * Some types add a field of their own: `side` ('start' | 'end') for rules about
+ * the ends of a line, `direction` ('before' | 'after') for the adjacent equals
+ * rule, `otherLine` for the modifier balance rule, `ruleset` for line
+ * enumeration, `results` ([[row, col, value], ...]) for the constraint chain and
+ * `hypothesis` for proof by contradiction. A step that fills several cells with
+ * one deduction (the solver's `groupSteps` option) lists the cells after its
+ * target in `group` ([[row, col, value], ...]), explained by `reason.group`.
+ */
+
+import { translate, hasMessage, DEFAULT_LOCALE } from '../i18n'
+
+const opposite = (symbol) => symbol === 'sun' ? 'moon' : 'sun'
+
+// How cells along a line are numbered: positions along a row, row numbers down a column
+const positionOf = (line, [row, col]) => line.type === 'row' ? col + 1 : row + 1
+
+// Text fragments the messages are built from, in one locale
+function getFragments(locale) {
+  const t = (key, params) => translate(locale, key, params)
+  const cell = ([row, col]) => t('cell', { row: row + 1, col: col + 1 })
+
+  return {
+    locale,
+    t,
+    cell,
+    cells: (cells) => cells.map(cell).join(', '),
+    line: (line) => t(`line.${line.type}`, { number: line.index + 1 }),
+    lineLower: (line) => t(`line.${line.type}.lower`, { number: line.index + 1 }),
+    lineType: (line) => t(`line-type.${line.type}`),
+    symbol: (symbol) => t(`symbol.${symbol}`),
+    symbols: (symbol) => t(`symbols.${symbol}`),
+    // "position 3" along a row, "row 3" down a column
+    position: (line) => t(`position.${line.type}`),
+    positions: (line) => t(`positions.${line.type}`),
+    // Cells across a line: the columns of a row, the rows of a column
+    across: (line) => t(`across.${line.type}`),
+    acrossPlural: (line) => t(`across-plural.${line.type}`),
+    list: (items) => items.length === 1
+      ? items[0]
+      : t('list.and', { items: items.slice(0, -1).join(', '), last: items[items.length - 1] })
+  }
+}
+
+// Params for the positions of the two cells of a constraint along a line
+const edgeParams = (line, [r1, c1, r2, c2]) => ({
+  edgeFirst: positionOf(line, [r1, c1]),
+  edgeSecond: positionOf(line, [r2, c2])
+})
+
+// Each reason type is explained by the message `reason.<type>`, filled with these params
+const REASON_PARAMS = {
+  'guess': ({ target, value }, f) => ({
+    cell: f.cell(target),
+    value: f.symbol(value),
+    other: f.symbol(opposite(value))
+  }),
+
+  'backtrack': ({ target, value, symbol, counts }, f) => ({
+    cell: f.cell(target),
+    symbol: f.symbol(symbol),
+    value: f.symbol(value),
+    count: counts.undoneCells
+  }),
+
+  'no-three': ({ line, cells, target, value, symbol }, f) => ({
+    line: f.line(line),
+    symbols: f.symbols(symbol),
+    positions: f.positions(line),
+    first: positionOf(line, cells[0]),
+    second: positionOf(line, cells[1]),
+    position: f.position(line),
+    target: positionOf(line, target),
+    value: f.symbol(value)
+  }),
+
+  'parity': ({ line, target, value, symbol, counts }, f) => ({
+    line: f.line(line),
+    max: counts.maxAllowed,
+    symbols: f.symbols(symbol),
+    lineType: f.lineType(line),
+    values: f.symbols(value),
+    position: f.position(line),
+    target: positionOf(line, target)
+  }),
+
+  'equals-propagation': ({ cells, target, value }, f) => ({
+    source: f.cell(cells[0]),
+    target: f.cell(target),
+    value: f.symbol(value)
+  }),
+
+  'not-equals-propagation': ({ cells, target, value, symbol }, f) => ({
+    source: f.cell(cells[0]),
+    symbol: f.symbol(symbol),
+    target: f.cell(target),
+    value: f.symbol(value)
+  }),
+
+  'edge-case': ({ line, target, value, symbol }, f) => {
+    const position = positionOf(line, target)
+    return {
+      line: f.line(line),
+      symbol: f.symbol(symbol),
+      positions: f.positions(line),
+      length: line.length,
+      which: f.t(position === 2 ? 'edge-case.second' : 'edge-case.second-to-last'),
+      position: f.position(line),
+      target: position,
+      value: f.symbol(value)
+    }
+  },
+
+  'gap': ({ line, cells, target, value, symbol }, f) => ({
+    line: f.line(line),
+    symbol: f.symbol(symbol),
+    positions: f.positions(line),
+    first: positionOf(line, cells[0]),
+    second: positionOf(line, cells[1]),
+    position: f.position(line),
+    target: positionOf(line, target),
+    value: f.symbol(value)
+  }),
+
+  'two-equals-at-end': ({ line, cells, target, value, symbol, side }, f) => ({
+    line: f.line(line),
+    symbols: f.symbols(symbol),
+    end: f.t(`end.${line.type}.${side}`),
+    positions: f.positions(line),
+    first: positionOf(line, cells[0]),
+    second: positionOf(line, cells[1]),
+    position: f.position(line),
+    target: positionOf(line, target),
+    value: f.symbol(value)
+  }),
+
+  'second-to-last-equals-first': ({ line, cells, target, value, symbol }, f) => ({
+    line: f.line(line),
+    symbol: f.symbol(symbol),
+    position: f.position(line),
+    first: positionOf(line, cells[0]),
+    second: positionOf(line, cells[1]),
+    target: positionOf(line, target),
+    value: f.symbol(value)
+  }),
+
+  'modifier-balance-pair': ({ line, otherLine, cells, target, value, symbol, edges }, f) => ({
+    otherLine: f.line(otherLine),
+    lineLower: f.lineLower(line),
+    symbol: f.symbol(symbol),
+    symbols: f.symbols(symbol),
+    across: f.across(line),
+    acrossPlural: f.acrossPlural(line),
+    ...edgeParams(line, edges[0]),
+    source: positionOf(line, cells[0]),
+    target: positionOf(line, target),
+    value: f.symbol(value)
+  }),
+
+  'modifier-balance-fill': ({ line, target, value, symbol, counts, edges }, f) => ({
+    line: f.line(line),
+    lineLower: f.lineLower(line),
+    count: counts.count,
+    symbol: f.symbol(symbol),
+    symbols: f.symbols(symbol),
+    across: f.across(line),
+    acrossPlural: f.acrossPlural(line),
+    ...edgeParams(line, edges[0]),
+    target: positionOf(line, target),
+    value: f.symbol(value),
+    values: f.symbols(value)
+  }),
+
+  'end-with-equals-constraint': ({ line, cells, target, value, symbol, side, edges }, f) => ({
+    line: f.line(line),
+    lineType: f.lineType(line),
+    symbol: f.symbol(symbol),
+    symbols: f.symbols(symbol),
+    knownEnd: f.t(`side.${line.type}.${side}`),
+    otherEnd: f.t(`side.${line.type}.${side === 'start' ? 'end' : 'start'}`),
+    orientation: f.t(`orientation.${line.type}`),
+    across: f.across(line),
+    acrossPlural: f.acrossPlural(line),
+    ...edgeParams(line, edges[0]),
+    source: positionOf(line, cells[0]),
+    target: positionOf(line, target),
+    values: f.symbols(value)
+  }),
+
+  'adjacent-equals-constraint': ({ line, cells, target, value, symbol, direction, edges }, f) => ({
+    line: f.line(line),
+    symbol: f.symbol(symbol),
+    symbols: f.symbols(symbol),
+    where: f.t(`adjacent.${line.type}.${direction}`),
+    orientation: f.t(`orientation.${line.type}`),
+    across: f.across(line),
+    acrossPlural: f.acrossPlural(line),
+    ...edgeParams(line, edges[0]),
+    source: positionOf(line, cells[0]),
+    target: positionOf(line, target),
+    values: f.symbols(value)
+  }),
+
+  'line-enumeration': ({ line, target, value, counts, ruleset }, f) => {
+    const lineType = f.lineType(line)
+    const lineRules = [
+      ruleset.balanced && f.t('line-rule.balanced'),
+      ruleset.maxRunLength === 2
+        ? f.t('line-rule.no-three')
+        : f.t('line-rule.max-run', { max: ruleset.maxRunLength }),
+      ruleset.uniqueLines && f.t('line-rule.unique', { lineType }),
+      f.t('line-rule.constraints', { lineType })
+    ].filter(Boolean)
+
+    return {
+      line: f.line(line),
+      count: counts.completions,
+      rules: f.list(lineRules),
+      position: f.position(line),
+      target: positionOf(line, target),
+      value: f.symbol(value)
+    }
+  },
+
+  'constraint-chain': ({ cells, symbol, results }, f) => {
+    const conclude = (key, cellValue) => {
+      const cells = results.filter(([, , v]) => v === cellValue)
+      return cells.length > 0 && f.t(key, { cells: f.cells(cells), count: cells.length, symbol: f.symbol(cellValue) })
+    }
+    const conclusions = [
+      conclude('constraint-chain.same', symbol),
+      conclude('constraint-chain.opposite', opposite(symbol))
+    ].filter(Boolean)
+
+    return {
+      source: f.cell(cells[0]),
+      symbol: f.symbol(symbol),
+      count: results.length,
+      conclusions: f.list(conclusions)
+    }
+  },
+
+  'proof-by-contradiction': ({ target, value, hypothesis }, f) => {
+    const implications = hypothesis.chain.map(entry => f.t('contradiction.implication', {
+      results: describeResults(entry.results, f),
+      rule: formatStepName(entry, f.locale)
+    }))
+    const violation = formatViolation(hypothesis.violation, f.locale)
+
+    return {
+      cell: f.cell(target),
+      assumed: f.symbol(hypothesis.value),
+      consequence: implications.length > 0
+        ? f.t('contradiction.then-chain', { implications: implications.join(', '), violation })
+        : f.t('contradiction.then', { violation }),
+      value: f.symbol(value)
+    }
+  }
+}
+
+// "(2,3) would be sun, (2,4) would be moon"
+function describeResults(cellResults, f) {
+  return cellResults
+    .map(([r, c, v]) => f.t('contradiction.would-be', { cell: f.cell([r, c]), value: f.symbol(v) }))
+    .join(', ')
+}
+
+// "By the same reasoning, (2,4) and (2,6) must be moon."
+function describeGroup(group, f) {
+  const values = [...new Set(group.map(([, , value]) => value))]
+  const results = values.map(value => {
+    const cells = group.filter(([, , v]) => v === value)
+    return f.t('group.result', { cells: f.cells(cells), count: cells.length, value: f.symbol(value) })
+  })
+  return f.t('reason.group', { results: f.list(results) })
+}
+
+// Each violation is described by the message `violation.<code>`, filled with these params
+const VIOLATION_PARAMS = {
+  'too-many-symbols': ({ line, symbol, counts }, f) => ({
+    line: f.lineLower(line),
+    count: counts.count,
+    symbols: f.symbols(symbol),
+    max: counts.maxAllowed
+  }),
+
+  'three-in-a-row': ({ line, symbol, cells }, f) => ({
+    line: f.lineLower(line),
+    run: cells.length === 3 ? f.t('number.three') : cells.length,
+    symbols: f.symbols(symbol),
+    positions: f.positions(line),
+    first: positionOf(line, cells[0]),
+    last: positionOf(line, cells[cells.length - 1])
+  }),
+
+  'duplicate-line': ({ lines }, f) => ({
+    lines: f.t(`lines.${lines[0].type}`),
+    first: lines[0].index + 1,
+    second: lines[1].index + 1
+  }),
+
+  'equals-violated': ({ cells, values }, f) => ({
+    first: f.cell(cells[0]),
+    second: f.cell(cells[1]),
+    firstValue: f.symbol(values[0]),
+    secondValue: f.symbol(values[1])
+  }),
+
+  'not-equals-violated': ({ cells, values }, f) => ({
+    first: f.cell(cells[0]),
+    second: f.cell(cells[1]),
+    value: f.symbol(values[0])
+  })
+}
+
+// Each validation error is described by the message `error.<code>`, filled from
+// its params
+const ERROR_PARAMS = {
+  'empty-grid': () => ({}),
+
+  'too-many-symbols': ({ line, symbol, count, maxAllowed }, f) => ({
+    line: f.line(line),
+    symbols: f.symbols(symbol),
+    count,
+    max: maxAllowed
+  }),
+
+  'three-in-a-row': ({ line, symbol, count }, f) => ({
+    line: f.line(line),
+    symbols: f.symbols(symbol),
+    count
+  }),
+
+  'duplicate-line': ({ lines }, f) => ({
+    lines: f.t(`lines.${lines[0].type}.capitalized`),
+    first: lines[0].index + 1,
+    second: lines[1].index + 1
+  }),
+
+  'equals-violated': ({ cells }, f) => ({
+    first: f.cell(cells[0]),
+    second: f.cell(cells[1])
+  }),
+
+  'not-equals-violated': ({ cells }, f) => ({
+    first: f.cell(cells[0]),
+    second: f.cell(cells[1])
+  }),
+
+  'constraint-cycle': ({ cells }, f) => ({
+    cells: f.cells(cells)
+  }),
+
+  'constraint-chain-violated': ({ path, cells, relation }, f) => ({
+    path: f.cells(path),
+    first: f.cell(cells[0]),
+    second: f.cell(cells[1]),
+    relation: f.t(`relation.${relation}`)
+  })
+}
+
+function formatMessage(kind, templates, code, params, locale) {
+  const buildParams = templates[code]
+  if (!buildParams) {
+    throw new Error(`Unknown ${kind} "${code}"`)
+  }
+  return translate(locale, `${kind}.${code}`, buildParams(params, getFragments(locale)))
+}
+
+/**
+ * Generate the prose explanation of a step from its reason
+ * @param {Object} reason - Structured reason (see above)
+ * @param {string} locale - Locale to explain in (see i18n), English by default
+ * @returns {string}
+ */
+export function formatReason(reason, locale = DEFAULT_LOCALE) {
+  const explanation = formatMessage('reason', REASON_PARAMS, reason.type, reason, locale)
+  if (!reason.group || reason.group.length === 0) return explanation
+  return `${explanation} ${describeGroup(reason.group, getFragments(locale))}`
+}
+
+/**
+ * Describe a broken rule found while checking a partial solution
+ * @param {Object} violation - { code, cells, line?, lines?, symbol?, counts?, values?, edges? }
+ *   where code is one of the validator's error codes
+ * @param {string} locale - Locale to describe it in, English by default
+ * @returns {string} - Lower-case description, e.g. "row 2 has 4 suns but only 3 are allowed"
+ */
+export function formatViolation(violation, locale = DEFAULT_LOCALE) {
+  return formatMessage('violation', VIOLATION_PARAMS, violation.code, violation, locale)
+}
+
+/**
+ * Describe a validation error or live conflict (see validator.js)
+ * @param {Object} error - { code, params }
+ * @param {string} locale - Locale to describe it in, English by default
+ * @returns {string} - e.g. "Row 2 has too many suns (4 > 3)"
+ */
+export function formatError(error, locale = DEFAULT_LOCALE) {
+  return formatMessage('error', ERROR_PARAMS, error.code, error.params, locale)
+}
+
+/**
+ * Get the explanation of a step in a locale. Steps from custom rules that
+ * carry no reason keep the text they were created with.
+ * @param {SolvingStep} step - Solving step
+ * @param {string} locale - Locale id
+ * @returns {string}
+ */
+export function formatStepExplanation(step, locale = DEFAULT_LOCALE) {
+  return step.reason ? formatReason(step.reason, locale) : step.explanation
+}
+
+/**
+ * Get the display name of the rule behind a step, or behind an entry of a
+ * proof by contradiction's chain ({ ruleId, ruleName, type })
+ * @param {Object} step - Solving step or chain entry
+ * @param {string} locale - Locale id
+ * @returns {string}
+ */
+export function formatStepName(step, locale = DEFAULT_LOCALE) {
+  const type = step.reason ? step.reason.type : step.type
+  if (type && hasMessage(`step.${type}`)) return translate(locale, `step.${type}`)
+  return formatRuleName({ id: step.ruleId, name: step.ruleName }, locale)
+}
+
+/**
+ * Get the display name of a registered rule. Custom rules without a
+ * catalogue entry keep their own name.
+ * @param {Object} rule - { id, name }
+ * @param {string} locale - Locale id
+ * @returns {string}
+ */
+export function formatRuleName(rule, locale = DEFAULT_LOCALE) {
+  return rule.id && hasMessage(`rule.${rule.id}`) ? translate(locale, `rule.${rule.id}`) : rule.name
+}
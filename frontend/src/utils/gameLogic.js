@@ -1,128 +1,143 @@
-// Validate a move according to Tango rules
-export function validateMove(grid, constraints, row, col) {
-  // Check row constraints: equal suns and moons
-  const rowValues = grid[row].filter(v => v !== null)
-  const sunsInRow = rowValues.filter(v => v === 'sun').length
-  const moonsInRow = rowValues.filter(v => v === 'moon').length
-  const maxInRow = Math.floor(grid[row].length / 2)
-
-  if (sunsInRow > maxInRow || moonsInRow > maxInRow) {
-    return false
-  }
-
-  // Check column constraints: equal suns and moons
-  const colValues = grid.map(r => r[col]).filter(v => v !== null)
-  const sunsInCol = colValues.filter(v => v === 'sun').length
-  const moonsInCol = colValues.filter(v => v === 'moon').length
-  const maxInCol = Math.floor(grid.length / 2)
+import { resolveRuleset } from './ruleset'
+import { formatError } from './explanations'
 
-  if (sunsInCol > maxInCol || moonsInCol > maxInCol) {
-    return false
-  }
-
-  // Check consecutive symbols (no more than 2)
-  if (hasThreeConsecutive(grid[row], col)) {
-    return false
-  }
-
-  const colArray = grid.map(r => r[col])
-  if (hasThreeConsecutive(colArray, row)) {
-    return false
-  }
-
-  // Check equals constraints
-  for (const [r1, c1, r2, c2] of constraints.equals) {
-    const val1 = grid[r1][c1]
-    const val2 = grid[r2][c2]
-    if (val1 !== null && val2 !== null && val1 !== val2) {
-      return false
-    }
-  }
-
-  // Check not-equals constraints
-  for (const [r1, c1, r2, c2] of constraints.notEquals) {
-    const val1 = grid[r1][c1]
-    const val2 = grid[r2][c2]
-    if (val1 !== null && val2 !== null && val1 === val2) {
-      return false
-    }
-  }
-
-  return true
+// Normalize a grid size to its dimensions: a number means a square grid,
+// otherwise it is an object { rows, cols }
+export function getDimensions(size) {
+  return typeof size === 'number' ? { rows: size, cols: size } : size
 }
 
-// Check if there are three consecutive identical values
-function hasThreeConsecutive(arr, index) {
-  const value = arr[index]
-  if (value === null) return false
-
-  // Check left/right or up/down
-  let count = 1
+// Side lengths the app supports. Every way a board comes in (the size selector,
+// imported files, shared links, the saved board) keeps to them, so that solving,
+// grading and hints stay quick enough to use.
+export const MIN_GRID_SIZE = 4
+export const MAX_GRID_SIZE = 20
 
-  // Check before
-  for (let i = index - 1; i >= 0 && arr[i] === value; i--) {
-    count++
-  }
+// Whether a number of rows or columns is an even length within the supported range
+export function isSupportedGridLength(length) {
+  return Number.isInteger(length) && length % 2 === 0 && length >= MIN_GRID_SIZE && length <= MAX_GRID_SIZE
+}
 
-  // Check after
-  for (let i = index + 1; i < arr.length && arr[i] === value; i++) {
-    count++
-  }
+// Validate a move according to the ruleset (Tango rules by default)
+export function validateMove(grid, constraints, row, col, ruleset) {
+  // The move is invalid if its row or column breaks a rule, or any constraint is violated
+  return !findConflicts(grid, constraints, ruleset).some(conflict =>
+    getConflictLines(conflict).some(line =>
+      (line.type === 'row' && line.index === row) ||
+      (line.type === 'column' && line.index === col)
+    ) ||
+    conflict.edges.length > 0
+  )
+}
 
-  return count > 2
+// The rows and columns a conflict belongs to: one line, both lines of a
+// duplicate pair, or none for a constraint conflict
+function getConflictLines(conflict) {
+  return conflict.lines || (conflict.line ? [conflict.line] : [])
 }
 
-// Check if the puzzle is complete and correct
-export function checkWin(grid, size) {
-  // Check all cells are filled
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size; col++) {
-      if (grid[row][col] === null) {
-        return false
+// Find every rule the current grid breaks, for live feedback while editing.
+// Returns [{ code, params, message, cells: [[row, col], ...], edges: [[r1, c1, r2, c2], ...], line?, lines? }]
+// using the same error codes as validateStartingPosition
+export function findConflicts(grid, constraints, ruleset) {
+  const { maxRunLength, balanced, uniqueLines } = resolveRuleset(ruleset)
+  const conflicts = []
+  const lines = [
+    ...grid.map((r, row) => ({ type: 'row', index: row, cells: r.map((_, col) => [row, col]) })),
+    ...grid[0].map((_, col) => ({ type: 'column', index: col, cells: grid.map((_, row) => [row, col]) }))
+  ]
+
+  for (const line of lines) {
+    const values = line.cells.map(([r, c]) => grid[r][c])
+    const maxAllowed = Math.floor(values.length / 2)
+
+    // Equal suns and moons: flag the symbol that has too many
+    for (const symbol of balanced ? ['sun', 'moon'] : []) {
+      const symbolCells = line.cells.filter(([r, c]) => grid[r][c] === symbol)
+      if (symbolCells.length > maxAllowed) {
+        conflicts.push({
+          code: 'too-many-symbols',
+          params: { line, symbol, count: symbolCells.length, maxAllowed },
+          cells: symbolCells,
+          edges: [],
+          line
+        })
       }
     }
-  }
 
-  // Check each row has equal suns and moons
-  for (let row = 0; row < size; row++) {
-    const suns = grid[row].filter(v => v === 'sun').length
-    const moons = grid[row].filter(v => v === 'moon').length
-    if (suns !== moons) {
-      return false
+    // No more than maxRunLength identical symbols in a row: flag each whole run
+    let runStart = 0
+    for (let i = 1; i <= values.length; i++) {
+      if (i < values.length && values[i] === values[runStart]) continue
+
+      if (values[runStart] !== null && i - runStart > maxRunLength) {
+        conflicts.push({
+          code: 'three-in-a-row',
+          params: { line, symbol: values[runStart], count: i - runStart },
+          cells: line.cells.slice(runStart, i),
+          edges: [],
+          line
+        })
+      }
+      runStart = i
     }
   }
 
-  // Check each column has equal suns and moons
-  for (let col = 0; col < size; col++) {
-    const colValues = grid.map(r => r[col])
-    const suns = colValues.filter(v => v === 'sun').length
-    const moons = colValues.filter(v => v === 'moon').length
-    if (suns !== moons) {
-      return false
-    }
+  // No two complete rows, or two complete columns, may be identical
+  if (uniqueLines) {
+    const completeLines = lines.filter(line => line.cells.every(([r, c]) => grid[r][c] !== null))
+    completeLines.forEach((line, i) => {
+      for (const other of completeLines.slice(i + 1)) {
+        if (other.type !== line.type ||
+            !line.cells.every(([r, c], position) => grid[r][c] === grid[other.cells[position][0]][other.cells[position][1]])) {
+          continue
+        }
+
+        conflicts.push({
+          code: 'duplicate-line',
+          params: { lines: [line, other] },
+          cells: [...line.cells, ...other.cells],
+          edges: [],
+          lines: [line, other]
+        })
+      }
+    })
   }
 
-  // Check no three consecutive
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size - 2; col++) {
-      if (grid[row][col] === grid[row][col + 1] &&
-        grid[row][col] === grid[row][col + 2] &&
-        grid[row][col] !== null) {
-        return false
-      }
+  // Equals and not-equals constraints between filled cells
+  for (const [type, mustMatch, code] of [['equals', true, 'equals-violated'], ['notEquals', false, 'not-equals-violated']]) {
+    for (const constraint of constraints[type]) {
+      const [r1, c1, r2, c2] = constraint
+      const val1 = grid[r1][c1]
+      const val2 = grid[r2][c2]
+      if (val1 === null || val2 === null || (val1 === val2) === mustMatch) continue
+
+      conflicts.push({
+        code,
+        params: { cells: [[r1, c1], [r2, c2]] },
+        cells: [[r1, c1], [r2, c2]],
+        edges: [constraint]
+      })
     }
   }
 
-  for (let col = 0; col < size; col++) {
-    for (let row = 0; row < size - 2; row++) {
-      if (grid[row][col] === grid[row + 1][col] &&
-        grid[row][col] === grid[row + 2][col] &&
-        grid[row][col] !== null) {
+  // The English message, for callers that do not localise (see formatError)
+  return conflicts.map(conflict => ({ ...conflict, message: formatError(conflict) }))
+}
+
+// Check if the puzzle is complete and follows the ruleset (Tango rules by default)
+export function checkWin(grid, size, ruleset) {
+  const { rows, cols } = getDimensions(size)
+
+  // Check all cells are filled
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[row][col] === null) {
         return false
       }
     }
   }
 
-  return true
+  // Check the balance, run length and unique lines of every row and column
+  return findConflicts(grid, { equals: [], notEquals: [] }, ruleset).length === 0
 }
-
@@ -0,0 +1,273 @@
+/**
+ * PUZZLE GENERATOR
+ *
+ * Creates new puzzles with exactly one solution:
+ * 1. Build a random valid full solution for the requested size
+ * 2. Add random equals/notEquals constraints that agree with it
+ * 3. Remove givens, then constraints, one at a time, keeping each removal only
+ *    if the puzzle still has a unique solution and the rules allowed at the
+ *    requested difficulty can still solve it (without guessing)
+ * 4. Grade the result once; if it still comes out too hard, step back to the
+ *    last removal at which it did not
+ *
+ * Everything is driven by a seeded random number generator, so the same seed,
+ * size and difficulty always produce the same puzzle.
+ */
+
+import { countSolutions, isValidPartialSolution, solvePuzzleStepByStep, getRegisteredRules } from './solver'
+import { gradePuzzle } from './grader'
+import { getDimensions } from './gameLogic'
+
+export const GENERATOR_DIFFICULTIES = ['Easy', 'Medium', 'Hard']
+
+const MAX_ATTEMPTS = 8
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Any number or string
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number'
+    ? seed >>> 0
+    : Array.from(String(seed)).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261)
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Shuffle an array in place using the given random number generator
+ */
+function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[items[i], items[j]] = [items[j], items[i]]
+  }
+  return items
+}
+
+/**
+ * Build a random valid full solution
+ * @param {number|Object} size - Grid size (even): a number for square grids, or { rows, cols }
+ * @param {Function} random - Random number generator
+ * @param {Object} ruleset - Ruleset the solution follows (see ruleset.js), Tango by default
+ * @returns {Array<Array<string>>} - Completely filled grid
+ */
+export function generateSolution(size, random, ruleset) {
+  const { rows, cols } = getDimensions(size)
+  const grid = Array(rows).fill(null).map(() => Array(cols).fill(null))
+  const noConstraints = { equals: [], notEquals: [] }
+
+  const fillFrom = (index) => {
+    if (index === rows * cols) return true
+
+    const row = Math.floor(index / cols)
+    const col = index % cols
+    for (const value of shuffle(['sun', 'moon'], random)) {
+      grid[row][col] = value
+      if (isValidPartialSolution(grid, noConstraints, size, ruleset) && fillFrom(index + 1)) {
+        return true
+      }
+    }
+    grid[row][col] = null
+    return false
+  }
+
+  fillFrom(0)
+  return grid
+}
+
+/**
+ * Rules a puzzle of the target difficulty must not need, following the
+ * grader's labels: lookahead rules make a puzzle Hard, and rules of
+ * difficulty 3 or more make it Medium
+ * @returns {Array<string>} - Rule ids
+ */
+function getDisabledRules(maxDifficultyIndex) {
+  const allowsLookahead = maxDifficultyIndex >= GENERATOR_DIFFICULTIES.indexOf('Hard')
+  const allowsHardRules = maxDifficultyIndex >= GENERATOR_DIFFICULTIES.indexOf('Medium')
+
+  return getRegisteredRules()
+    .filter(rule => (rule.lookahead && !allowsLookahead) || (rule.difficulty >= 3 && !allowsHardRules))
+    .map(rule => rule.id)
+}
+
+/**
+ * Check whether the rules finish a puzzle without guessing
+ */
+function isSolvedByRules(grid, constraints, size, ruleset, disabledRules) {
+  const steps = solvePuzzleStepByStep(grid, constraints, size, { allowGuessing: false, ruleset, disabledRules })
+  const finalGrid = steps.length > 0 ? steps[steps.length - 1].gridStateAfter : grid
+  return finalGrid.every(row => row.every(cell => cell !== null))
+}
+
+/**
+ * Check that a puzzle has one solution and is solved by the allowed rules
+ * without guessing. Every rule only fills cells that are forced, so a puzzle
+ * the rules finish has a unique solution. Cheap enough to run after every
+ * removal; the full grade is left for the finished puzzle.
+ * @param {Array<string>} disabledRules - Rules the target difficulty does not allow
+ * @param {Array<string>} forwardOnlyRules - disabledRules plus every lookahead rule
+ */
+function isAcceptable(grid, constraints, size, ruleset, disabledRules, forwardOnlyRules) {
+  if (isSolvedByRules(grid, constraints, size, ruleset, forwardOnlyRules)) return true
+  if (forwardOnlyRules.length === disabledRules.length) return false
+
+  // Lookahead rules are slow: rule out puzzles with several solutions first
+  return countSolutions(grid, constraints, size, 2, ruleset).count === 1 &&
+    isSolvedByRules(grid, constraints, size, ruleset, disabledRules)
+}
+
+/**
+ * Grade a puzzle
+ * @returns {Object|null} - The grade, or null if it is above the target difficulty
+ */
+function gradeIfAcceptable(grid, constraints, size, ruleset, maxDifficultyIndex) {
+  const grade = gradePuzzle(grid, constraints, size, { allowGuessing: false, ruleset })
+  if (!grade.solved || GENERATOR_DIFFICULTIES.indexOf(grade.label) > maxDifficultyIndex) {
+    return null
+  }
+  return grade
+}
+
+/**
+ * Rebuild the puzzle after the first `count` removals
+ * @param {Object} start - { grid, constraints } before any removal
+ * @param {Array<Object>} removals - { row, col } for a given, { type, constraint } for a constraint
+ */
+function applyRemovals(start, removals, count) {
+  const grid = start.grid.map(row => row.slice())
+  const constraints = { equals: start.constraints.equals.slice(), notEquals: start.constraints.notEquals.slice() }
+
+  for (const removal of removals.slice(0, count)) {
+    if (removal.constraint) {
+      constraints[removal.type] = constraints[removal.type].filter(c => c !== removal.constraint)
+    } else {
+      grid[removal.row][removal.col] = null
+    }
+  }
+  return { grid, constraints }
+}
+
+/**
+ * Generate one candidate puzzle from a fresh random solution
+ */
+function generateCandidate(size, ruleset, maxDifficultyIndex, random) {
+  const { rows, cols } = getDimensions(size)
+  const solution = generateSolution(size, random, ruleset)
+
+  // Start from the full solution plus a sprinkling of constraints that agree with it
+  const grid = solution.map(row => row.slice())
+  const constraints = { equals: [], notEquals: [] }
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      for (const [r2, c2] of [[row, col + 1], [row + 1, col]]) {
+        if (r2 >= rows || c2 >= cols || random() >= 0.25) continue
+
+        const list = solution[row][col] === solution[r2][c2] ? constraints.equals : constraints.notEquals
+        list.push([row, col, r2, c2])
+      }
+    }
+  }
+
+  const start = { grid: grid.map(row => row.slice()), constraints: { equals: constraints.equals.slice(), notEquals: constraints.notEquals.slice() } }
+  const disabledRules = getDisabledRules(maxDifficultyIndex)
+  const forwardOnlyRules = [...new Set([...disabledRules, ...getRegisteredRules().filter(rule => rule.lookahead).map(rule => rule.id)])]
+  const removals = []
+
+  // Remove givens while the puzzle stays unique and solvable by the allowed rules
+  const givens = []
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      givens.push([row, col])
+    }
+  }
+  for (const [row, col] of shuffle(givens, random)) {
+    const value = grid[row][col]
+    grid[row][col] = null
+
+    if (isAcceptable(grid, constraints, size, ruleset, disabledRules, forwardOnlyRules)) {
+      removals.push({ row, col })
+    } else {
+      grid[row][col] = value
+    }
+  }
+
+  // Then remove constraints that are no longer needed
+  for (const type of ['equals', 'notEquals']) {
+    for (const constraint of shuffle(constraints[type].slice(), random)) {
+      const reduced = {
+        ...constraints,
+        [type]: constraints[type].filter(c => c !== constraint)
+      }
+
+      if (isAcceptable(grid, reduced, size, ruleset, disabledRules, forwardOnlyRules)) {
+        constraints[type] = reduced[type]
+        removals.push({ type, constraint })
+      }
+    }
+  }
+
+  let grade = gradeIfAcceptable(grid, constraints, size, ruleset, maxDifficultyIndex)
+  if (grade) {
+    return { grid, constraints, solution, grade }
+  }
+
+  // Too hard (e.g. too few ways forward for Easy): find the most removals the
+  // difficulty allows. The full solution is always acceptable, so `low` is too.
+  let low = 0
+  let high = removals.length
+  grade = gradeIfAcceptable(start.grid, start.constraints, size, ruleset, maxDifficultyIndex)
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2)
+    const puzzle = applyRemovals(start, removals, middle)
+    const middleGrade = gradeIfAcceptable(puzzle.grid, puzzle.constraints, size, ruleset, maxDifficultyIndex)
+    if (middleGrade) {
+      low = middle
+      grade = middleGrade
+    } else {
+      high = middle
+    }
+  }
+
+  return { ...applyRemovals(start, removals, low), solution, grade }
+}
+
+/**
+ * Generate a puzzle with a unique solution at the requested difficulty
+ * @param {Object} options - { size: 6 or { rows, cols }, difficulty: 'Easy' | 'Medium' | 'Hard', seed, ruleset }
+ * @returns {Object} - { grid, constraints, solution, grade, seed }. If no candidate
+ *   reaches the requested difficulty, the closest (easier) one is returned.
+ */
+export function generatePuzzle({ size = 6, difficulty = 'Medium', seed = Date.now(), ruleset } = {}) {
+  const { rows, cols } = getDimensions(size)
+  if ([rows, cols].some(length => length < 2 || length % 2 !== 0)) {
+    throw new Error('Grid size must be an even number of rows and columns')
+  }
+
+  const targetIndex = GENERATOR_DIFFICULTIES.indexOf(difficulty)
+  if (targetIndex === -1) {
+    throw new Error(`Unknown difficulty "${difficulty}"`)
+  }
+
+  const random = createRandom(seed)
+  let best = null
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const candidate = generateCandidate(size, ruleset, targetIndex, random)
+    const candidateIndex = GENERATOR_DIFFICULTIES.indexOf(candidate.grade.label)
+
+    if (!best || candidateIndex > GENERATOR_DIFFICULTIES.indexOf(best.grade.label)) {
+      best = candidate
+    }
+    if (candidateIndex === targetIndex) break
+  }
+
+  return { ...best, seed }
+}
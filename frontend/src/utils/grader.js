@@ -0,0 +1,109 @@
+/**
+ * PUZZLE GRADER
+ *
+ * Rates how hard a puzzle is by solving it and looking at how the solution
+ * was reached: which rules were needed and how often, the deepest kind of
+ * reasoning required, and how often the solver had only one way forward.
+ */
+
+import { solvePuzzleStepByStep, countAvailableDeductions, getRegisteredRules, isValidPartialSolution } from './solver'
+
+// Reasoning depth: how far beyond reading the grid the solver had to go
+const DEPTH_DIRECT = 1 // Rules that read values straight off the grid
+const DEPTH_CONTRADICTION = 2 // Rules that follow an assumption to a contradiction
+const DEPTH_SEARCH = 3 // Guessing and backtracking
+
+const DEPTH_BONUS = { [DEPTH_DIRECT]: 0, [DEPTH_CONTRADICTION]: 2, [DEPTH_SEARCH]: 5 }
+
+/**
+ * Grade the difficulty of a puzzle
+ *
+ * score = average rule difficulty per step
+ *       + 2 × share of steps where only one deduction was available
+ *       + depth bonus (0 direct, 2 contradiction, 5 search)
+ *
+ * @param {Array<Array<string|null>>} grid - Starting grid state
+ * @param {Object} constraints - Constraints object
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {Object} options - Solver options (see solvePuzzleStepByStep)
+ * @returns {Object} - { solved, score, label, depth, stepCount, ruleUsage, bottleneckSteps, guesses }
+ */
+export function gradePuzzle(grid, constraints, size, options = {}) {
+  const steps = solvePuzzleStepByStep(grid, constraints, size, options)
+  const finalGrid = steps.length > 0 ? steps[steps.length - 1].gridStateAfter : grid
+  // A filled grid only counts if it keeps to the rules and constraints
+  const solved = finalGrid.every(row => row.every(cell => cell !== null)) &&
+    isValidPartialSolution(finalGrid, constraints, size, options.ruleset)
+
+  if (!solved) {
+    return {
+      solved: false,
+      score: null,
+      label: 'Unsolvable',
+      depth: null,
+      stepCount: steps.length,
+      ruleUsage: {},
+      bottleneckSteps: 0,
+      guesses: 0
+    }
+  }
+
+  const rulesById = new Map(getRegisteredRules().map(rule => [rule.id, rule]))
+  const ruleUsage = {}
+  let totalDifficulty = 0
+  let depth = DEPTH_DIRECT
+  let bottleneckSteps = 0
+  let guesses = 0
+
+  for (const step of steps) {
+    if (step.stepType === 'guess') {
+      guesses++
+      depth = DEPTH_SEARCH
+      continue
+    }
+    if (step.stepType === 'backtrack') {
+      continue
+    }
+
+    const rule = rulesById.get(step.ruleId)
+    ruleUsage[step.ruleId] = (ruleUsage[step.ruleId] || 0) + 1
+    totalDifficulty += rule ? rule.difficulty : 1
+    if (rule && rule.lookahead) {
+      depth = Math.max(depth, DEPTH_CONTRADICTION)
+    }
+
+    // With a single empty cell left there is nothing else to choose from
+    const emptyCells = step.gridStateBefore.flat().filter(cell => cell === null).length
+    if (emptyCells > 1 && countAvailableDeductions(step.gridStateBefore, constraints, size, options.ruleset) <= 1) {
+      bottleneckSteps++
+    }
+  }
+
+  const deductionCount = steps.filter(step => step.stepType === 'deduction').length
+  const averageDifficulty = deductionCount > 0 ? totalDifficulty / deductionCount : 0
+  const bottleneckShare = deductionCount > 0 ? bottleneckSteps / deductionCount : 0
+  const score = Math.round((averageDifficulty + 2 * bottleneckShare + DEPTH_BONUS[depth]) * 10) / 10
+  const hardestRule = Math.max(0, ...Object.keys(ruleUsage).map(id => rulesById.get(id)?.difficulty ?? 1))
+
+  let label
+  if (depth === DEPTH_SEARCH) {
+    label = 'Expert'
+  } else if (depth === DEPTH_CONTRADICTION) {
+    label = 'Hard'
+  } else if (hardestRule >= 3 || bottleneckShare > 0.5) {
+    label = 'Medium'
+  } else {
+    label = 'Easy'
+  }
+
+  return {
+    solved: true,
+    score,
+    label,
+    depth,
+    stepCount: steps.length,
+    ruleUsage,
+    bottleneckSteps,
+    guesses
+  }
+}
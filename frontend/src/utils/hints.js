@@ -0,0 +1,62 @@
+/**
+ * HINTS
+ *
+ * Progressive hints for manual play. A hint is the solver's next deduction,
+ * revealed one level at a time:
+ * 1. region - the row, column or area where the deduction can be made
+ * 2. rule   - the name of the rule that makes it
+ * 3. cells  - the cells the rule reasons from
+ * 4. value  - the value(s) it places
+ */
+
+import { getNextStep } from './solver'
+import { getDimensions } from './gameLogic'
+
+export const HINT_LEVELS = ['region', 'rule', 'cells', 'value']
+
+/**
+ * Find the next hint for the current grid
+ * @param {Array<Array<string|null>>} grid - Current grid state
+ * @param {Object} constraints - Constraints object
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {Object} options - Solver options (see getNextStep); guessing is never used
+ * @returns {Object|null} - { step, region } or null if the rules find no deduction
+ */
+export function findHint(grid, constraints, size, options = {}) {
+  const step = getNextStep(grid, constraints, size, [], { ...options, allowGuessing: false })
+  if (!step || step.stepType !== 'deduction') return null
+
+  return { step, region: getHintRegion(step, size) }
+}
+
+/**
+ * Work out the smallest region that contains a step's reasoning
+ * @param {SolvingStep} step - Deduction step
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @returns {Object} - { type: 'row' | 'column' | 'area', cells: [[row, col], ...] }
+ */
+export function getHintRegion(step, size) {
+  const stepCells = [...step.affectedCells, ...step.resultCells.map(([r, c]) => [r, c])]
+  const stepRows = stepCells.map(([r]) => r)
+  const stepCols = stepCells.map(([, c]) => c)
+  const minRow = Math.min(...stepRows)
+  const maxRow = Math.max(...stepRows)
+  const minCol = Math.min(...stepCols)
+  const maxCol = Math.max(...stepCols)
+
+  const { rows, cols } = getDimensions(size)
+  if (minRow === maxRow) {
+    return { type: 'row', cells: Array.from({ length: cols }, (_, col) => [minRow, col]) }
+  }
+  if (minCol === maxCol) {
+    return { type: 'column', cells: Array.from({ length: rows }, (_, row) => [row, minCol]) }
+  }
+
+  const cells = []
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      cells.push([row, col])
+    }
+  }
+  return { type: 'area', cells }
+}
@@ -0,0 +1,444 @@
+/**
+ * PUZZLE FILE FORMATS
+ *
+ * A puzzle can be saved as text, compact enough to type by hand and to diff in
+ * version control, or as JSON. Both hold the same puzzle object:
+ * {
+ *   size: { rows, cols },
+ *   grid: [[...]],                      // Givens: 'sun', 'moon' or null
+ *   constraints: { equals, notEquals }, // [[r1, c1, r2, c2], ...], first cell above or left of the second
+ *   ruleset: { ... },                   // See ruleset.js
+ *   solution: [[...]] | null,           // Complete grid, if known
+ *   metadata: { name: '...', ... }      // Free-form strings
+ * }
+ *
+ * TEXT FORMAT
+ *
+ *   # Lines starting with # are comments
+ *   name: Sunrise
+ *   ruleset: takuzu
+ *
+ *   S=. . M
+ *     x
+ *   . . S .
+ *   . M . .
+ *   M . .xS
+ *
+ *   solution:
+ *   S S M M
+ *   ...
+ *
+ * The header holds `key: value` lines. `ruleset` names a preset (tango, takuzu,
+ * unruly); `max-run`, `balanced` and `unique-lines` (yes/no) set the rules one
+ * by one. Every other key is kept as metadata, so metadata names are limited to
+ * lowercase letters, digits, - and _ (and none of the keys above), and values
+ * to a single line.
+ *
+ * Each row of the grid lists its cells as S (sun), M (moon) or . (empty), one
+ * character apart. The character between two cells is = for an equals
+ * constraint, x for a not-equals constraint or a space. Constraints between a
+ * row and the next go on a line of their own between them, each under the
+ * first of the two cells. An optional `solution:` block lists the complete grid
+ * the same way, without constraints.
+ *
+ * JSON FORMAT
+ *
+ *   {
+ *     "format": "tango-puzzle",
+ *     "version": 1,
+ *     "size": { "rows": 4, "cols": 4 },
+ *     "ruleset": { "maxRunLength": 2, "balanced": true, "uniqueLines": true },
+ *     "givens": [[0, 0, "sun"], [0, 3, "moon"], ...],
+ *     "equals": [[0, 0, 0, 1]],
+ *     "notEquals": [[0, 1, 1, 1]],
+ *     "solution": [["sun", "sun", "moon", "moon"], ...],
+ *     "metadata": { "name": "Sunrise" }
+ *   }
+ *
+ * `solution` and `metadata` are optional, and `ruleset` defaults to Tango.
+ */
+
+import { resolveRuleset, DEFAULT_RULESET, RULESET_PRESETS } from './ruleset'
+import { MIN_GRID_SIZE, MAX_GRID_SIZE, isSupportedGridLength } from './gameLogic'
+
+export const PUZZLE_FORMAT = 'tango-puzzle'
+export const PUZZLE_VERSION = 1
+
+const SYMBOL_LETTERS = { sun: 'S', moon: 'M' }
+const LETTER_SYMBOLS = { S: 'sun', M: 'moon', '.': null }
+const EDGE_MARKS = { '=': 'equals', x: 'notEquals', X: 'notEquals', '×': 'notEquals' }
+
+// Header keys that set a ruleset field, and how their values are written
+const RULESET_KEYS = {
+  'max-run': { field: 'maxRunLength', parse: value => Number(value), format: value => String(value) },
+  'balanced': { field: 'balanced', parse: parseYesNo, format: formatYesNo },
+  'unique-lines': { field: 'uniqueLines', parse: parseYesNo, format: formatYesNo }
+}
+
+function parseYesNo(value) {
+  if (/^(yes|true)$/i.test(value)) return true
+  if (/^(no|false)$/i.test(value)) return false
+  throw new Error(`Expected yes or no, found "${value}"`)
+}
+
+function formatYesNo(value) {
+  return value ? 'yes' : 'no'
+}
+
+// Header keys with a meaning of their own, which metadata may not use
+const RESERVED_KEYS = ['ruleset', 'solution', ...Object.keys(RULESET_KEYS)]
+
+/**
+ * Check that metadata can be written as header lines and read back unchanged
+ * @param {Object} metadata - { name: value }
+ * @returns {Object} - The metadata with every value as a trimmed string
+ * @throws {Error} - If a name or value cannot be written in the text format
+ */
+function checkMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('"metadata" must be an object of names and values')
+  }
+
+  const checked = {}
+  for (const [key, value] of Object.entries(metadata)) {
+    if (!/^[a-z0-9_-]+$/.test(key) || RESERVED_KEYS.includes(key)) {
+      throw new Error(`"${key}" cannot be used as a metadata name`)
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value) || /[\r\n]/.test(String(value))) {
+      throw new Error(`The metadata value of "${key}" must be a single line of text`)
+    }
+    checked[key] = String(value).trim()
+  }
+  return checked
+}
+
+/**
+ * Write a puzzle in the text format
+ * @param {Object} puzzle - Puzzle object (see above); size, ruleset, solution and metadata are optional
+ * @returns {string}
+ * @throws {Error} - If the metadata cannot be written in the text format (see above)
+ */
+export function exportPuzzleText(puzzle) {
+  const { grid, constraints, solution, metadata = {} } = puzzle
+  const ruleset = resolveRuleset(puzzle.ruleset)
+  const lines = []
+
+  Object.entries(checkMetadata(metadata)).forEach(([key, value]) => lines.push(`${key}: ${value}`))
+
+  const preset = RULESET_PRESETS.find(({ ruleset: presetRuleset }) =>
+    Object.keys(DEFAULT_RULESET).every(field => presetRuleset[field] === ruleset[field])
+  )
+  if (preset) {
+    lines.push(`ruleset: ${preset.id}`)
+  } else {
+    Object.entries(RULESET_KEYS).forEach(([key, { field, format }]) => lines.push(`${key}: ${format(ruleset[field])}`))
+  }
+
+  lines.push('', ...formatGridLines(grid, constraints))
+  if (solution) {
+    lines.push('', 'solution:', ...formatGridLines(solution, { equals: [], notEquals: [] }))
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+// One line per row of cells, with a line of vertical constraints between rows that have any
+function formatGridLines(grid, constraints) {
+  const rows = grid.length
+  const cols = grid[0].length
+  const edges = new Map()
+  constraints.equals.forEach(([r1, c1, r2, c2]) => edges.set(`${r1},${c1},${r2},${c2}`, '='))
+  constraints.notEquals.forEach(([r1, c1, r2, c2]) => edges.set(`${r1},${c1},${r2},${c2}`, 'x'))
+  const edgeBetween = (r1, c1, r2, c2) => edges.get(`${r1},${c1},${r2},${c2}`) || ' '
+
+  const lines = []
+  for (let row = 0; row < rows; row++) {
+    let line = ''
+    for (let col = 0; col < cols; col++) {
+      line += SYMBOL_LETTERS[grid[row][col]] || '.'
+      if (col < cols - 1) line += edgeBetween(row, col, row, col + 1)
+    }
+    lines.push(line)
+
+    if (row < rows - 1) {
+      const below = Array.from({ length: cols }, (_, col) => edgeBetween(row, col, row + 1, col)).join(' ')
+      if (below.trim()) lines.push(below.trimEnd())
+    }
+  }
+  return lines
+}
+
+/**
+ * Read a puzzle in the text format
+ * @param {string} text - Puzzle text
+ * @returns {Object} - Puzzle object (see above)
+ * @throws {Error} - If the text is not a valid puzzle; the message names the line
+ */
+export function importPuzzleText(text) {
+  const metadata = {}
+  let ruleset = { ...DEFAULT_RULESET }
+  const gridLines = []
+  const solutionLines = []
+  let section = 'header'
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trimEnd()
+    const lineNumber = index + 1
+    if (line.trim() === '' || line.trimStart().startsWith('#')) return
+
+    if (line.trim().toLowerCase() === 'solution:') {
+      section = 'solution'
+      return
+    }
+
+    const header = section === 'header' && line.match(/^([\w-]+)\s*:\s*(.*)$/)
+    if (header) {
+      const key = header[1].toLowerCase()
+      const value = header[2].trim()
+      try {
+        if (key === 'ruleset') {
+          const preset = RULESET_PRESETS.find(({ id }) => id === value.toLowerCase())
+          if (!preset) throw new Error(`Unknown ruleset "${value}"`)
+          ruleset = { ...preset.ruleset }
+        } else if (RULESET_KEYS[key]) {
+          ruleset[RULESET_KEYS[key].field] = RULESET_KEYS[key].parse(value)
+        } else {
+          metadata[key] = value
+        }
+      } catch (error) {
+        throw new Error(`Line ${lineNumber}: ${error.message}`)
+      }
+      return
+    }
+
+    if (section === 'header') section = 'grid'
+    if (section === 'grid') gridLines.push({ line, lineNumber })
+    else solutionLines.push({ line, lineNumber })
+  })
+
+  if (gridLines.length === 0) {
+    throw new Error('The puzzle has no grid')
+  }
+
+  const { grid, constraints } = parseGridLines(gridLines)
+  const solution = solutionLines.length > 0 ? parseGridLines(solutionLines).grid : null
+
+  try {
+    ruleset = resolveRuleset(ruleset)
+  } catch (error) {
+    throw new Error(`Invalid ruleset: ${error.message}`)
+  }
+
+  return checkPuzzle({ grid, constraints, ruleset, solution, metadata })
+}
+
+// Read rows of cells and the constraint lines between them
+function parseGridLines(lines) {
+  const grid = []
+  const constraints = { equals: [], notEquals: [] }
+  const cols = Math.ceil(lines[0].line.length / 2)
+
+  lines.forEach(({ line, lineNumber }) => {
+    const fail = (message) => { throw new Error(`Line ${lineNumber}: ${message}`) }
+    if (line.length > cols * 2 - 1) fail(`expected ${cols} cells`)
+    const isCellLine = line[0].toUpperCase() in LETTER_SYMBOLS
+
+    if (isCellLine) {
+      const row = grid.length
+      const cells = []
+      for (let col = 0; col < cols; col++) {
+        const letter = (line[col * 2] || '').toUpperCase()
+        if (!(letter in LETTER_SYMBOLS)) fail(`expected ${cols} cells of S, M or .`)
+        cells.push(LETTER_SYMBOLS[letter])
+
+        const mark = line[col * 2 + 1] || ' '
+        if (col < cols - 1 && mark !== ' ') {
+          if (!EDGE_MARKS[mark]) fail(`"${mark}" is not a constraint; use =, x or a space between cells`)
+          constraints[EDGE_MARKS[mark]].push([row, col, row, col + 1])
+        }
+      }
+      grid.push(cells)
+      return
+    }
+
+    // A line of constraints joins the row above to the row below
+    const row = grid.length - 1
+    if (row < 0) fail('a constraint line must come after a row of cells')
+    for (let i = 0; i < line.length; i++) {
+      const mark = line[i]
+      if (mark === ' ') continue
+      if (i % 2 === 1 || !EDGE_MARKS[mark]) fail(`unexpected "${mark}"; constraints between rows go under the cells they join`)
+      constraints[EDGE_MARKS[mark]].push([row, i / 2, row + 1, i / 2])
+    }
+  })
+
+  const maxRow = grid.length - 1
+  const dangling = [...constraints.equals, ...constraints.notEquals].find(([, , r2]) => r2 > maxRow)
+  if (dangling) {
+    throw new Error('The last line of the grid is a constraint line with no row below it')
+  }
+
+  return { grid, constraints }
+}
+
+/**
+ * Write a puzzle in the JSON format
+ * @param {Object} puzzle - Puzzle object (see above)
+ * @returns {string}
+ * @throws {Error} - If the metadata could not be read back (see above)
+ */
+export function exportPuzzleJSON(puzzle) {
+  const { grid, constraints, solution, metadata } = puzzle
+  const givens = []
+  grid.forEach((row, r) => row.forEach((value, c) => {
+    if (value !== null) givens.push([r, c, value])
+  }))
+
+  const data = {
+    format: PUZZLE_FORMAT,
+    version: PUZZLE_VERSION,
+    size: { rows: grid.length, cols: grid[0].length },
+    ruleset: resolveRuleset(puzzle.ruleset),
+    givens,
+    equals: constraints.equals,
+    notEquals: constraints.notEquals
+  }
+  if (solution) data.solution = solution
+  if (metadata && Object.keys(metadata).length > 0) data.metadata = checkMetadata(metadata)
+
+  return JSON.stringify(data, null, 2) + '\n'
+}
+
+/**
+ * Read a puzzle in the JSON format
+ * @param {string} text - Puzzle JSON
+ * @returns {Object} - Puzzle object (see above)
+ * @throws {Error} - If the text is not a valid puzzle
+ */
+export function importPuzzleJSON(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`)
+  }
+
+  if (!data || data.format !== PUZZLE_FORMAT) {
+    throw new Error(`Not a puzzle file (expected "format": "${PUZZLE_FORMAT}")`)
+  }
+  if (data.version > PUZZLE_VERSION) {
+    throw new Error(`Puzzle format version ${data.version} is newer than this app supports`)
+  }
+
+  const { rows, cols } = data.size || {}
+  if (![rows, cols].every(length => Number.isInteger(length) && length > 0)) {
+    throw new Error('"size" must be { "rows": number, "cols": number }')
+  }
+  checkSize(rows, cols)
+
+  const grid = Array.from({ length: rows }, () => Array(cols).fill(null))
+  if (data.givens !== undefined && !Array.isArray(data.givens)) {
+    throw new Error('"givens" must be a list of [row, col, value]')
+  }
+  for (const given of data.givens || []) {
+    const [row, col, value] = Array.isArray(given) ? given : []
+    if (!isInRange(row, col, rows, cols) || !Object.hasOwn(SYMBOL_LETTERS, value)) {
+      throw new Error(`Invalid given ${JSON.stringify(given)}`)
+    }
+    grid[row][col] = value
+  }
+
+  let ruleset
+  try {
+    ruleset = resolveRuleset(data.ruleset)
+  } catch (error) {
+    throw new Error(`Invalid ruleset: ${error.message}`)
+  }
+
+  const { equals = [], notEquals = [] } = data
+  if (!Array.isArray(equals) || !Array.isArray(notEquals)) {
+    throw new Error('"equals" and "notEquals" must be lists of [r1, c1, r2, c2]')
+  }
+
+  return checkPuzzle({
+    grid,
+    constraints: { equals, notEquals },
+    ruleset,
+    solution: data.solution || null,
+    metadata: data.metadata || {}
+  })
+}
+
+/**
+ * Read a puzzle in either format, telling them apart by the leading {
+ * @param {string} text - Puzzle text or JSON
+ * @returns {Object} - Puzzle object (see above)
+ * @throws {Error} - If the text is not a valid puzzle
+ */
+export function importPuzzle(text) {
+  return text.trimStart().startsWith('{') ? importPuzzleJSON(text) : importPuzzleText(text)
+}
+
+function isInRange(row, col, rows, cols) {
+  return Number.isInteger(row) && Number.isInteger(col) && row >= 0 && row < rows && col >= 0 && col < cols
+}
+
+/**
+ * Check that a parsed puzzle is one the app can play, and fill in its size.
+ * Constraints are put in the app's order: first cell above or left of the second.
+ */
+function checkPuzzle(puzzle) {
+  const { grid, solution } = puzzle
+  const rows = grid.length
+  const cols = grid[0].length
+
+  if (grid.some(row => row.length !== cols)) {
+    throw new Error('Every row of the grid must have the same number of cells')
+  }
+  checkSize(rows, cols)
+
+  const seen = new Set()
+  const normalize = (edge) => {
+    if (!Array.isArray(edge) || edge.length !== 4) {
+      throw new Error(`Invalid constraint ${JSON.stringify(edge)}`)
+    }
+    let [r1, c1, r2, c2] = edge
+    if (r1 > r2 || (r1 === r2 && c1 > c2)) [r1, c1, r2, c2] = [r2, c2, r1, c1]
+    const isAdjacent = (r1 === r2 && c2 === c1 + 1) || (c1 === c2 && r2 === r1 + 1)
+    if (!isInRange(r1, c1, rows, cols) || !isInRange(r2, c2, rows, cols) || !isAdjacent) {
+      throw new Error(`Constraint ${JSON.stringify(edge)} does not join two neighbouring cells of the grid`)
+    }
+    const key = `${r1},${c1},${r2},${c2}`
+    if (seen.has(key)) {
+      throw new Error(`More than one constraint between (${r1 + 1},${c1 + 1}) and (${r2 + 1},${c2 + 1})`)
+    }
+    seen.add(key)
+    return [r1, c1, r2, c2]
+  }
+  const constraints = {
+    equals: puzzle.constraints.equals.map(normalize),
+    notEquals: puzzle.constraints.notEquals.map(normalize)
+  }
+
+  if (solution) {
+    const fits = Array.isArray(solution) && solution.length === rows && solution.every(row =>
+      Array.isArray(row) && row.length === cols && row.every(value => Object.hasOwn(SYMBOL_LETTERS, value))
+    )
+    if (!fits) {
+      throw new Error(`The solution must be a complete ${rows}x${cols} grid of suns and moons`)
+    }
+    const clash = grid.flatMap((row, r) => row.map((value, c) => [r, c, value]))
+      .find(([r, c, value]) => value !== null && solution[r][c] !== value)
+    if (clash) {
+      throw new Error(`The solution disagrees with the given at (${clash[0] + 1},${clash[1] + 1})`)
+    }
+  }
+
+  return { ...puzzle, size: { rows, cols }, constraints, metadata: checkMetadata(puzzle.metadata) }
+}
+
+function checkSize(rows, cols) {
+  if (![rows, cols].every(isSupportedGridLength)) {
+    throw new Error(`Grid size must be an even number of rows and columns from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}, found ${rows}x${cols}`)
+  }
+}
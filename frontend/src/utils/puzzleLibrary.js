@@ -0,0 +1,209 @@
+/**
+ * PUZZLE LIBRARY
+ *
+ * Saved puzzles and the board in progress are kept in localStorage, so they
+ * survive a reload. A library entry is an object:
+ * {
+ *   id: 'k2x9f...',
+ *   name: 'Sunrise',
+ *   tags: ['training', 'hard'],
+ *   puzzle: { grid, constraints, ruleset, solution, metadata },  // As in puzzleFormat.js
+ *   progress: [[...]] | null,   // Grid as the player left it
+ *   difficulty: 'Medium',       // Grader label, if known
+ *   solved: false,
+ *   createdAt: 1700000000000,
+ *   updatedAt: 1700000000000
+ * }
+ *
+ * Storage can be unavailable (private browsing) or full; reads then return
+ * nothing and writes are dropped, so the app keeps working without it.
+ */
+
+import { resolveRuleset } from './ruleset'
+import { isSupportedGridLength } from './gameLogic'
+
+const LIBRARY_KEY = 'tango-solver.library.v1'
+const CURRENT_BOARD_KEY = 'tango-solver.current-board.v1'
+
+function getStorage() {
+  try {
+    return typeof window === 'undefined' ? null : window.localStorage
+  } catch (error) {
+    return null
+  }
+}
+
+function readJSON(key, fallback) {
+  const storage = getStorage()
+  if (!storage) return fallback
+  try {
+    const text = storage.getItem(key)
+    return text === null ? fallback : JSON.parse(text)
+  } catch (error) {
+    return fallback
+  }
+}
+
+function writeJSON(key, value) {
+  const storage = getStorage()
+  if (!storage) return false
+  try {
+    storage.setItem(key, JSON.stringify(value))
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+}
+
+/**
+ * Split a comma-separated list of tags, dropping blanks and repeats
+ * @param {string} text - e.g. "training, hard"
+ * @returns {Array<string>}
+ */
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))]
+}
+
+/**
+ * List the saved puzzles, most recently changed first
+ * @returns {Array<Object>} - Library entries (see above)
+ */
+export function loadLibrary() {
+  const entries = readJSON(LIBRARY_KEY, [])
+  return Array.isArray(entries) ? entries.slice().sort((a, b) => b.updatedAt - a.updatedAt) : []
+}
+
+/**
+ * Add a puzzle to the library
+ * @param {Object} details - { name, tags, puzzle, progress, difficulty, solved }
+ * @returns {Object} - The new entry
+ */
+export function addLibraryEntry({ name, tags = [], puzzle, progress = null, difficulty = null, solved = false }) {
+  const now = Date.now()
+  const entry = { id: createId(), name, tags, puzzle, progress, difficulty, solved, createdAt: now, updatedAt: now }
+  writeJSON(LIBRARY_KEY, [entry, ...loadLibrary()])
+  return entry
+}
+
+/**
+ * Change fields of a saved puzzle
+ * @param {string} id - Entry id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Object|null} - The updated entry, or null if there is none with that id
+ */
+export function updateLibraryEntry(id, changes) {
+  const entries = loadLibrary()
+  const index = entries.findIndex(entry => entry.id === id)
+  if (index === -1) return null
+
+  entries[index] = { ...entries[index], ...changes, updatedAt: Date.now() }
+  writeJSON(LIBRARY_KEY, entries)
+  return entries[index]
+}
+
+/**
+ * Remove a puzzle from the library
+ * @param {string} id - Entry id
+ */
+export function deleteLibraryEntry(id) {
+  writeJSON(LIBRARY_KEY, loadLibrary().filter(entry => entry.id !== id))
+}
+
+/**
+ * Remember the board in progress, to resume it after a reload
+ * @param {Object} board - { grid, lockedCells, constraints, ruleset, puzzleDetails, libraryEntryId, hash }
+ */
+export function saveCurrentBoard(board) {
+  writeJSON(CURRENT_BOARD_KEY, board)
+}
+
+const isCellValue = (value) => value === null || value === 'sun' || value === 'moon'
+const isSymbol = (value) => value === 'sun' || value === 'moon'
+
+function isGridOf(grid, rows, cols, isValue) {
+  return Array.isArray(grid) && grid.length === rows &&
+    grid.every(row => Array.isArray(row) && row.length === cols && row.every(isValue))
+}
+
+// An edge [r1, c1, r2, c2] inside the grid, from a cell to its right or lower neighbour
+function isEdgeOf(edge, rows, cols) {
+  if (!Array.isArray(edge) || edge.length !== 4 || !edge.every(Number.isInteger)) return false
+  const [r1, c1, r2, c2] = edge
+  const isAdjacent = (r1 === r2 && c2 === c1 + 1) || (c1 === c2 && r2 === r1 + 1)
+  return isAdjacent && r1 >= 0 && c1 >= 0 && r2 < rows && c2 < cols
+}
+
+/**
+ * Check every field of a saved board against the grid it belongs to
+ * @param {Object} board - As written by saveCurrentBoard
+ * @returns {Object|null} - The board with its ruleset filled in, or null if it is not usable
+ */
+function readCurrentBoard(board) {
+  if (!board || typeof board !== 'object') return null
+  const { grid, lockedCells, constraints, puzzleDetails, libraryEntryId, hash } = board
+
+  const rows = Array.isArray(grid) ? grid.length : 0
+  const cols = rows > 0 && Array.isArray(grid[0]) ? grid[0].length : 0
+  if (!isSupportedGridLength(rows) || !isSupportedGridLength(cols)) return null
+  if (!isGridOf(grid, rows, cols, isCellValue)) return null
+  if (!isGridOf(lockedCells, rows, cols, value => typeof value === 'boolean')) return null
+
+  const areEdges = (edges) => Array.isArray(edges) && edges.every(edge => isEdgeOf(edge, rows, cols))
+  if (!constraints || !areEdges(constraints.equals) || !areEdges(constraints.notEquals)) return null
+
+  let ruleset
+  try {
+    ruleset = resolveRuleset(board.ruleset)
+  } catch (error) {
+    return null
+  }
+
+  if (!puzzleDetails || typeof puzzleDetails !== 'object') return null
+  const { solution, metadata } = puzzleDetails
+  if (solution !== null && !isGridOf(solution, rows, cols, isSymbol)) return null
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return null
+
+  if (libraryEntryId !== null && typeof libraryEntryId !== 'string') return null
+  if (typeof hash !== 'string') return null
+
+  return {
+    grid,
+    lockedCells,
+    constraints: { equals: constraints.equals, notEquals: constraints.notEquals },
+    ruleset,
+    puzzleDetails: { solution, metadata },
+    libraryEntryId,
+    hash
+  }
+}
+
+/**
+ * Get the board saved by saveCurrentBoard. A record that is not a usable
+ * board (written by an older version, or edited by hand) is cleared.
+ * @returns {Object|null}
+ */
+export function loadCurrentBoard() {
+  const saved = readJSON(CURRENT_BOARD_KEY, null)
+  if (saved === null) return null
+
+  const board = readCurrentBoard(saved)
+  if (!board) clearCurrentBoard()
+  return board
+}
+
+/**
+ * Forget the board saved by saveCurrentBoard
+ */
+export function clearCurrentBoard() {
+  const storage = getStorage()
+  if (!storage) return
+  try {
+    storage.removeItem(CURRENT_BOARD_KEY)
+  } catch (error) {
+    // Nothing to clear
+  }
+}
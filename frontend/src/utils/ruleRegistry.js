@@ -0,0 +1,113 @@
+/**
+ * RULE REGISTRY
+ *
+ * Keeps the list of solving rules the solver can use. The built-in rules are
+ * registered by solver.js; other code can register its own rules, remove rules,
+ * or pick which rules to use (and in which order) for a single solve.
+ *
+ * A rule is an object:
+ * {
+ *   id: 'no-three',                 // Unique identifier
+ *   name: 'No-Three Rule',          // Display name
+ *   difficulty: 1,                  // Weight used when grading puzzles (higher = harder)
+ *   lookahead: false,               // True if the rule tries assumptions by running other rules
+ *   supports: (ruleset) => boolean, // Optional: whether the rule holds under a ruleset (default: always)
+ *   apply: (grid, constraints, size, context) => SolvingStep | null
+ * }
+ *
+ * `apply` fills at most one deduction in `grid` (mutating it) and returns the
+ * SolvingStep describing it, or null if the rule does not apply. `context.rules`
+ * holds the rules in use for the current solve and `context.ruleset` the
+ * ruleset the puzzle follows (see ruleset.js).
+ */
+
+import { resolveRuleset } from './ruleset'
+
+const registeredRules = []
+
+/**
+ * Register a solving rule. Registering an id that already exists replaces
+ * that rule in place, which lets callers override a built-in rule.
+ * @param {Object} rule - Rule object (see above)
+ * @param {Object} options - { before: ruleId } to insert ahead of an existing rule
+ */
+export function registerRule(rule, options = {}) {
+  if (!rule || typeof rule.id !== 'string' || typeof rule.apply !== 'function') {
+    throw new Error('A rule needs a string id and an apply function')
+  }
+
+  const entry = {
+    name: rule.id,
+    difficulty: 1,
+    lookahead: false,
+    ...rule
+  }
+
+  const existingIndex = registeredRules.findIndex(r => r.id === rule.id)
+  if (existingIndex !== -1 && !options.before) {
+    registeredRules[existingIndex] = entry
+    return
+  }
+  if (existingIndex !== -1) {
+    registeredRules.splice(existingIndex, 1)
+  }
+
+  const beforeIndex = options.before ? registeredRules.findIndex(r => r.id === options.before) : -1
+  if (beforeIndex === -1) {
+    registeredRules.push(entry)
+  } else {
+    registeredRules.splice(beforeIndex, 0, entry)
+  }
+}
+
+/**
+ * Remove a registered rule
+ * @param {string} id - Rule id
+ * @returns {boolean} - True if a rule was removed
+ */
+export function unregisterRule(id) {
+  const index = registeredRules.findIndex(r => r.id === id)
+  if (index === -1) return false
+
+  registeredRules.splice(index, 1)
+  return true
+}
+
+/**
+ * Get the registered rules in the order they are tried
+ * @returns {Array<Object>} - Copy of the registered rule list
+ */
+export function getRegisteredRules() {
+  return registeredRules.slice()
+}
+
+/**
+ * Check whether a rule holds under a ruleset
+ * @param {Object} rule - Rule object
+ * @param {Object} ruleset - Complete ruleset
+ * @returns {boolean}
+ */
+export function ruleSupports(rule, ruleset) {
+  return !rule.supports || rule.supports(ruleset)
+}
+
+/**
+ * Pick the rules to use for a solve. Rules that do not hold under the
+ * ruleset are left out, even when they are asked for by id.
+ * @param {Object} options - { rules: [ids in the order to try them], disabledRules: [ids], ruleset }
+ * @returns {Array<Object>} - Rule objects in the order to try them
+ */
+export function resolveRules(options = {}) {
+  const { rules: ruleIds, disabledRules = [] } = options
+  const ruleset = resolveRuleset(options.ruleset)
+
+  const rules = ruleIds
+    ? ruleIds.map(id => {
+      const rule = registeredRules.find(r => r.id === id)
+      if (!rule) throw new Error(`Unknown rule "${id}"`)
+      return rule
+    })
+    : registeredRules
+
+  return rules.filter(rule => !disabledRules.includes(rule.id) && ruleSupports(rule, ruleset))
+}
@@ -0,0 +1,45 @@
+/**
+ * RULESETS
+ *
+ * Tango, Takuzu (also called Binairo) and Unruly are played on the same grid of
+ * two symbols, but each has its own rules. A ruleset describes the rules that
+ * every row and column must follow:
+ * {
+ *   maxRunLength: 2,     // Most identical symbols allowed next to each other
+ *   balanced: true,      // Each line holds as many suns as moons
+ *   uniqueLines: false   // No two complete rows (or two complete columns) may be identical
+ * }
+ *
+ * Equals/notEquals constraints are part of the puzzle rather than the ruleset,
+ * so a puzzle without them plays the same under every ruleset that allows them.
+ */
+
+export const DEFAULT_RULESET = { maxRunLength: 2, balanced: true, uniqueLines: false }
+
+export const RULESET_PRESETS = [
+  { id: 'tango', name: 'Tango', ruleset: DEFAULT_RULESET },
+  { id: 'takuzu', name: 'Takuzu / Binairo', ruleset: { maxRunLength: 2, balanced: true, uniqueLines: true } },
+  { id: 'unruly', name: 'Unruly', ruleset: { maxRunLength: 2, balanced: true, uniqueLines: false } }
+]
+
+/**
+ * Fill in the missing fields of a ruleset with the Tango defaults
+ * @param {Object} ruleset - Partial ruleset, or undefined for Tango
+ * @returns {Object} - Complete ruleset
+ */
+export function resolveRuleset(ruleset = {}) {
+  if (ruleset !== null && (typeof ruleset !== 'object' || Array.isArray(ruleset))) {
+    throw new Error('a ruleset must be an object')
+  }
+
+  const resolved = { ...DEFAULT_RULESET, ...ruleset }
+  if (!Number.isInteger(resolved.maxRunLength) || resolved.maxRunLength < 1) {
+    throw new Error('maxRunLength must be a whole number of at least 1')
+  }
+  for (const field of ['balanced', 'uniqueLines']) {
+    if (typeof resolved[field] !== 'boolean') {
+      throw new Error(`${field} must be true or false`)
+    }
+  }
+  return resolved
+}
@@ -0,0 +1,178 @@
+/**
+ * SHAREABLE LINKS
+ *
+ * The board is kept in the URL hash so a link lands on the same puzzle, and
+ * optionally on the same solving step:
+ *
+ *   #p=AQYGAgI...&step=12&off=gap,parity&guess=0&group=1
+ *
+ * `p` is the puzzle code (see encodePuzzle). `step` is a 0-based index into
+ * the steps of a solve; since the steps depend on the solver settings, the
+ * settings that differ from the defaults are added with it: `off` lists the
+ * disabled rules, `guess=0` turns guessing off and `group=1` groups steps.
+ *
+ * The puzzle code is base64url of these bytes:
+ *   version (1), rows, cols, maxRunLength, flags (1 = balanced, 2 = unique lines),
+ *   then one base-3 digit per cell (0 empty, 1 sun, 2 moon), per horizontal edge
+ *   and per vertical edge (0 none, 1 equals, 2 not-equals), five digits to a byte.
+ * Cells go row by row, horizontal edges (r, c)-(r, c+1) row by row, then
+ * vertical edges (r, c)-(r+1, c) row by row. A 10x10 board takes about 80 characters.
+ */
+
+import { resolveRuleset } from './ruleset'
+import { MIN_GRID_SIZE, MAX_GRID_SIZE, isSupportedGridLength } from './gameLogic'
+
+const CODE_VERSION = 1
+const HEADER_LENGTH = 5
+const DIGITS_PER_BYTE = 5
+const CELL_DIGITS = { sun: 1, moon: 2 }
+const DIGIT_CELLS = [null, 'sun', 'moon']
+
+// Every edge of the grid in code order: horizontal edges, then vertical ones
+function getEdges(rows, cols) {
+  const edges = []
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols - 1; c++) edges.push([r, c, r, c + 1])
+  }
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols; c++) edges.push([r, c, r + 1, c])
+  }
+  return edges
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  return Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0))
+}
+
+/**
+ * Encode a puzzle as a short URL-safe code
+ * @param {Object} puzzle - { grid, constraints, ruleset }
+ * @returns {string}
+ */
+export function encodePuzzle({ grid, constraints, ruleset }) {
+  const rows = grid.length
+  const cols = grid[0].length
+  const resolved = resolveRuleset(ruleset)
+
+  const edgeDigits = new Map()
+  constraints.equals.forEach(edge => edgeDigits.set(edge.join(','), 1))
+  constraints.notEquals.forEach(edge => edgeDigits.set(edge.join(','), 2))
+
+  const digits = [
+    ...grid.flat().map(value => CELL_DIGITS[value] || 0),
+    ...getEdges(rows, cols).map(edge => edgeDigits.get(edge.join(',')) || 0)
+  ]
+
+  const bytes = [CODE_VERSION, rows, cols, resolved.maxRunLength, (resolved.balanced ? 1 : 0) | (resolved.uniqueLines ? 2 : 0)]
+  for (let i = 0; i < digits.length; i += DIGITS_PER_BYTE) {
+    let byte = 0
+    for (let j = Math.min(i + DIGITS_PER_BYTE, digits.length) - 1; j >= i; j--) {
+      byte = byte * 3 + digits[j]
+    }
+    bytes.push(byte)
+  }
+
+  return toBase64Url(bytes)
+}
+
+/**
+ * Decode a puzzle code
+ * @param {string} code - Code made by encodePuzzle
+ * @returns {Object} - { grid, constraints, ruleset, size: { rows, cols } }
+ * @throws {Error} - If the code is damaged or from a newer version
+ */
+export function decodePuzzle(code) {
+  let bytes
+  try {
+    bytes = fromBase64Url(code)
+  } catch (error) {
+    throw new Error('The puzzle code is not valid base64')
+  }
+
+  const [version, rows, cols, maxRunLength, flags] = bytes
+  if (version !== CODE_VERSION) {
+    throw new Error(`Unknown puzzle code version ${version}`)
+  }
+  if (![rows, cols].every(isSupportedGridLength)) {
+    throw new Error(`Grid size must be an even number of rows and columns from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}`)
+  }
+
+  const edges = getEdges(rows, cols)
+  const digitCount = rows * cols + edges.length
+  if (bytes.length !== HEADER_LENGTH + Math.ceil(digitCount / DIGITS_PER_BYTE)) {
+    throw new Error('The puzzle code is incomplete')
+  }
+
+  const digits = []
+  for (const byte of bytes.slice(HEADER_LENGTH)) {
+    if (byte >= 3 ** DIGITS_PER_BYTE) throw new Error('The puzzle code is damaged')
+    let rest = byte
+    for (let j = 0; j < DIGITS_PER_BYTE; j++) {
+      digits.push(rest % 3)
+      rest = Math.floor(rest / 3)
+    }
+  }
+
+  const grid = Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => DIGIT_CELLS[digits[r * cols + c]])
+  )
+  const constraints = { equals: [], notEquals: [] }
+  edges.forEach((edge, i) => {
+    const digit = digits[rows * cols + i]
+    if (digit === 1) constraints.equals.push(edge)
+    if (digit === 2) constraints.notEquals.push(edge)
+  })
+
+  const ruleset = resolveRuleset({ maxRunLength, balanced: Boolean(flags & 1), uniqueLines: Boolean(flags & 2) })
+  return { grid, constraints, ruleset, size: { rows, cols } }
+}
+
+/**
+ * Build the URL hash (without the #) for a board
+ * @param {Object} puzzle - { grid, constraints, ruleset } to start from
+ * @param {number|null} step - Index of the solving step to show, or null
+ * @param {Object} solverSettings - { disabledRules, allowGuessing, groupSteps }, needed with a step
+ * @returns {string}
+ */
+export function buildShareHash(puzzle, step = null, solverSettings = {}) {
+  const params = new URLSearchParams({ p: encodePuzzle(puzzle) })
+
+  if (step !== null) {
+    params.set('step', String(step))
+    if (solverSettings.disabledRules && solverSettings.disabledRules.length > 0) {
+      params.set('off', solverSettings.disabledRules.join(','))
+    }
+    if (solverSettings.allowGuessing === false) params.set('guess', '0')
+    if (solverSettings.groupSteps) params.set('group', '1')
+  }
+
+  // Keep the commas of the rule list readable
+  return params.toString().replace(/%2C/g, ',')
+}
+
+/**
+ * Read a URL hash made by buildShareHash
+ * @param {string} hash - location.hash, with or without the #
+ * @returns {Object|null} - { puzzle, step, solverSettings }, or null if the hash holds no puzzle
+ * @throws {Error} - If the hash holds a puzzle that cannot be decoded
+ */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const code = params.get('p')
+  if (!code) return null
+
+  const puzzle = decodePuzzle(code)
+  const stepParam = params.get('step')
+  const step = stepParam !== null && /^\d+$/.test(stepParam) ? Number(stepParam) : null
+  const solverSettings = {
+    disabledRules: params.get('off') ? params.get('off').split(',') : [],
+    allowGuessing: params.get('guess') !== '0',
+    groupSteps: params.get('group') === '1'
+  }
+
+  return { puzzle, step, solverSettings }
+}
@@ -7,11 +7,19 @@
  * for each move, allowing players to learn the solving process.
  */
 
+import { buildConstraintGraph } from './constraintGraph'
+import { registerRule, resolveRules } from './ruleRegistry'
+import { getDimensions } from './gameLogic'
+import { resolveRuleset } from './ruleset'
+import { formatReason, formatViolation } from './explanations'
+
+export { registerRule, unregisterRule, getRegisteredRules, ruleSupports } from './ruleRegistry'
+
 /**
  * Represents a solving step with explanation
  */
 export class SolvingStep {
-  constructor(ruleName, explanation, affectedCells, resultCell, resultValue, gridStateBefore = null, gridStateAfter = null) {
+  constructor(ruleName, explanation, affectedCells, resultCell, resultValue, gridStateBefore = null, gridStateAfter = null, stepType = 'deduction') {
     this.ruleName = ruleName
     this.explanation = explanation
     this.affectedCells = affectedCells // Array of [row, col] pairs
@@ -19,54 +27,87 @@ export class SolvingStep {
     this.resultValue = resultValue // 'sun' or 'moon'
     this.gridStateBefore = gridStateBefore // Grid state before this step
     this.gridStateAfter = gridStateAfter // Grid state after this step
+    this.stepType = stepType // 'deduction', 'guess' or 'backtrack'
+    this.hypothesis = null // For proof by contradiction: { cell, value, chain, contradiction }
+    this.resultCells = [[resultCell[0], resultCell[1], resultValue]] // Every cell filled: [row, col, value], resultCell first
+    this.ruleId = null // Id of the registered rule that produced this step
+    this.reason = null // Structured reason the explanation is generated from (see explanations.js)
   }
 }
 
+/**
+ * Create a step whose explanation is generated from a structured reason.
+ * The reason's cells, target and value default to the step's own.
+ * @param {string} ruleName - Display name of the rule
+ * @param {Object} reason - Structured reason (see explanations.js)
+ * @returns {SolvingStep}
+ */
+function createStep(ruleName, reason, affectedCells, resultCell, resultValue, stepType = 'deduction') {
+  const fullReason = {
+    ruleId: null,
+    line: null,
+    cells: affectedCells,
+    target: resultCell,
+    value: resultValue,
+    counts: {},
+    edges: [],
+    ...reason
+  }
+
+  const step = new SolvingStep(ruleName, formatReason(fullReason), affectedCells, resultCell, resultValue, null, null, stepType)
+  step.reason = fullReason
+  return step
+}
+
+/**
+ * Describe a row or column for a step's reason: { type, index, length }
+ */
+function lineInfo(lineType, index, size) {
+  const { rows, cols } = getDimensions(size)
+  return { type: lineType, index, length: lineType === 'row' ? cols : rows }
+}
+
 /**
  * Main solving function that returns steps instead of final solution
+ *
+ * Logical rules are applied first. When none of them can make progress the
+ * solver falls back to a search: it guesses a value for a cell, keeps applying
+ * the rules, and backtracks to the opposite value if the guess leads to a
+ * contradiction. Guesses and backtracks are recorded as their own steps.
+ *
  * @param {Array<Array<string|null>>} grid - Starting grid state
  * @param {Object} constraints - { equals: [[r1,c1,r2,c2], ...], notEquals: [[r1,c1,r2,c2], ...] }
- * @param {number} size - Grid size
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {Object} options - Solver options:
+ *   - rules: ids of the registered rules to use, in the order to try them (default: all, in registry order)
+ *   - disabledRules: ids of rules to skip
+ *   - allowGuessing: whether to fall back to guessing and backtracking (default true)
+ *   - ruleset: the rules the puzzle follows (see ruleset.js, default Tango); rules
+ *     that do not hold under it are skipped
+ *   - groupSteps: fill every cell implied by the same deduction in one step, e.g. all
+ *     the empty cells of a line the parity rule completes (default false: one cell per step)
  * @returns {Array<SolvingStep>} - Array of solving steps
  */
-export function solvePuzzleStepByStep(grid, constraints, size) {
+export function solvePuzzleStepByStep(grid, constraints, size, options = {}) {
   const steps = []
   const gridCopy = grid.map(row => row.slice())
-  const maxIterations = size * size * 2 // Prevent infinite loops
-  let iterations = 0
-
-  while (iterations < maxIterations) {
-    let madeProgress = false
-
-    // Save grid state before applying rule
-    const gridStateBefore = gridCopy.map(row => row.slice())
-
-    // Apply all rules in order
-    const step = applyAllRules(gridCopy, constraints, size)
-    
-    if (step) {
-      // Save grid state after applying rule
-      const gridStateAfter = gridCopy.map(row => row.slice())
-      
-      // Add grid states to step
-      step.gridStateBefore = gridStateBefore
-      step.gridStateAfter = gridStateAfter
-      
-      steps.push(step)
-      madeProgress = true
-    }
-
-    // Check if puzzle is complete
-    if (isComplete(gridCopy, size)) {
-      break
-    }
-
-    if (!madeProgress) {
-      // No more deterministic moves - puzzle might be unsolvable or needs backtracking
+  const guesses = []
+  const ruleset = resolveRuleset(options.ruleset)
+  const rules = resolveRules(options)
+  const allowGuessing = options.allowGuessing !== false
+  const groupSteps = Boolean(options.groupSteps)
+
+  // Every step either fills an empty cell or undoes a guess, so the search
+  // always terminates: either with a solution or with every guess exhausted
+  while (!isSolved(gridCopy, constraints, size, ruleset)) {
+    const step = advanceSolver(gridCopy, constraints, size, guesses, rules, ruleset, allowGuessing, groupSteps)
+
+    if (!step) {
+      // No rule applies and no guess is left to undo - puzzle is unsolvable
       break
     }
 
-    iterations++
+    steps.push(step)
   }
 
   return steps
@@ -76,69 +117,251 @@ export function solvePuzzleStepByStep(grid, constraints, size) {
  * Get the next solving step (for step-by-step mode)
  * @param {Array<Array<string|null>>} grid - Current grid state
  * @param {Object} constraints - Constraints object
- * @param {number} size - Grid size
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {Array<SolvingStep>} previousSteps - Steps taken so far, used to know which guesses are still open
+ * @param {Object} options - Solver options (see solvePuzzleStepByStep)
  * @returns {SolvingStep|null} - Next step or null if no more moves
  */
-export function getNextStep(grid, constraints, size) {
+export function getNextStep(grid, constraints, size, previousSteps = [], options = {}) {
   const gridCopy = grid.map(row => row.slice())
+  const ruleset = resolveRuleset(options.ruleset)
+
+  if (isSolved(gridCopy, constraints, size, ruleset)) {
+    return null
+  }
+
+  return advanceSolver(
+    gridCopy,
+    constraints,
+    size,
+    getOpenGuesses(previousSteps),
+    resolveRules(options),
+    ruleset,
+    options.allowGuessing !== false,
+    Boolean(options.groupSteps)
+  )
+}
+
+/**
+ * Rebuild the stack of guesses that have not been undone yet from a step history
+ */
+function getOpenGuesses(steps) {
+  const guesses = []
+
+  for (const step of steps) {
+    if (step.stepType === 'guess') {
+      guesses.push({
+        cell: step.resultCell,
+        value: step.resultValue,
+        gridBefore: step.gridStateBefore
+      })
+    } else if (step.stepType === 'backtrack') {
+      guesses.pop()
+    }
+  }
+
+  return guesses
+}
+
+/**
+ * Make a single move: a rule deduction, a guess when the rules stall,
+ * or a backtrack when the grid has reached a contradiction.
+ * Mutates grid and guesses, and records the grid states on the step.
+ */
+function advanceSolver(grid, constraints, size, guesses, rules, ruleset, allowGuessing, groupSteps) {
   const gridStateBefore = grid.map(row => row.slice())
-  
-  const step = applyAllRules(gridCopy, constraints, size)
-  
+
+  let step
+  if (!isValidPartialSolution(grid, constraints, size, ruleset)) {
+    step = backtrack(grid, size, guesses)
+  } else {
+    step = applyAllRules(grid, constraints, size, rules, ruleset, groupSteps) ||
+      (allowGuessing ? makeGuess(grid, size, guesses) : null)
+  }
+
   if (step) {
-    const gridStateAfter = gridCopy.map(row => row.slice())
     step.gridStateBefore = gridStateBefore
-    step.gridStateAfter = gridStateAfter
+    step.gridStateAfter = grid.map(row => row.slice())
   }
-  
+
   return step
 }
 
 /**
- * Apply all solving rules and return the first step found
+ * Search fallback: pick an empty cell and tentatively place a sun in it.
+ * The cell is taken from the row or column with the fewest empty cells,
+ * since that is where a wrong guess is discovered soonest.
  */
-function applyAllRules(grid, constraints, size) {
-  // Rule 1: No-three rule (two equal adjacent cells)
-  let step = applyNoThreeRule(grid, constraints, size)
-  if (step) return step
+function makeGuess(grid, size, guesses) {
+  const { rows, cols } = getDimensions(size)
+  let bestCell = null
+  let bestEmptyCount = Infinity
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[row][col] !== null) continue
+
+      const emptyInRow = grid[row].filter(v => v === null).length
+      const emptyInCol = grid.filter(r => r[col] === null).length
+      const emptyCount = Math.min(emptyInRow, emptyInCol)
+
+      if (emptyCount < bestEmptyCount) {
+        bestCell = [row, col]
+        bestEmptyCount = emptyCount
+      }
+    }
+  }
 
-  // Rule 2: Parity rule (row/column balance)
-  step = applyParityRule(grid, constraints, size)
-  if (step) return step
+  if (!bestCell) return null
 
-  // Rule 3: Constraint propagation (equals/notEquals)
-  step = applyConstraintPropagation(grid, constraints, size)
-  if (step) return step
+  const [row, col] = bestCell
+  guesses.push({ cell: bestCell, value: 'sun', gridBefore: grid.map(r => r.slice()) })
+  grid[row][col] = 'sun'
 
-  // Rule 4: Edge cases (ends of rows/columns)
-  step = applyEdgeCases(grid, constraints, size)
-  if (step) return step
+  return createStep(
+    'Guess',
+    { type: 'guess' },
+    [],
+    [row, col],
+    'sun',
+    'guess'
+  )
+}
 
-  // Rule 5: Gap rule (X _ X pattern)
-  step = applyGapRule(grid, constraints, size)
-  if (step) return step
+/**
+ * Undo the most recent guess after a contradiction: restore the grid to the
+ * state before the guess and place the opposite value in the guessed cell.
+ */
+function backtrack(grid, size, guesses) {
+  const { rows, cols } = getDimensions(size)
+  const guess = guesses.pop()
+  if (!guess) return null
+
+  const [row, col] = guess.cell
+  const opposite = guess.value === 'sun' ? 'moon' : 'sun'
+
+  // Cells filled after the guess are undone along with it
+  const undoneCells = []
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (grid[r][c] !== guess.gridBefore[r][c] && (r !== row || c !== col)) {
+        undoneCells.push([r, c])
+      }
+      grid[r][c] = guess.gridBefore[r][c]
+    }
+  }
+  grid[row][col] = opposite
+
+  return createStep(
+    'Backtrack',
+    { type: 'backtrack', symbol: guess.value, counts: { undoneCells: undoneCells.length } },
+    undoneCells,
+    [row, col],
+    opposite,
+    'backtrack'
+  )
+}
 
-  // Rule 6: Two equals at end rule
-  step = applyTwoEqualsAtEndRule(grid, constraints, size)
-  if (step) return step
+// Built-in rules, in the order they are tried. Simple local patterns come
+// first; the constraint chain rule runs before plain constraint propagation so a
+// whole chain is filled in one step, and proof by contradiction runs last.
+// Rules 4, 6, 7 and 9 rest on the same count: three equal symbols near the
+// ends of a line of n cells (e.g. at positions 1, 2 and n) leave one gap of
+// n - 3 cells for n / 2 of the other symbol, at most two in a row between the
+// n / 2 - 3 equal ones. That only fails to fit while n / 2 > n - 4, so these
+// rules hold for lines of up to 6 cells and are skipped on longer ones.
+const MAX_END_PATTERN_LINE_LENGTH = 6
+
+// The pattern rules are written for Tango's line rules: the no-three patterns
+// only hold when at most two identical symbols may be adjacent, the counting
+// rules only when lines are balanced, and the end patterns need both. Under
+// other rulesets they are skipped and line enumeration covers single lines.
+const allowsPairs = ruleset => ruleset.maxRunLength === 2
+const isBalanced = ruleset => ruleset.balanced
+const hasTangoLines = ruleset => allowsPairs(ruleset) && isBalanced(ruleset)
+
+const BUILT_IN_RULES = [
+  { id: 'no-three', name: 'No-Three Rule', difficulty: 1, supports: allowsPairs, apply: applyNoThreeRule },
+  { id: 'parity', name: 'Parity Rule', difficulty: 1, supports: isBalanced, apply: applyParityRule },
+  { id: 'constraint-chain', name: 'Constraint Chain Rule', difficulty: 2, apply: applyConstraintChainRule },
+  { id: 'constraint-propagation', name: 'Constraint Propagation', difficulty: 1, apply: applyConstraintPropagation },
+  { id: 'edge-case', name: 'Edge Case Rule', difficulty: 2, supports: hasTangoLines, apply: applyEdgeCases },
+  { id: 'gap', name: 'Gap Rule', difficulty: 1, supports: allowsPairs, apply: applyGapRule },
+  { id: 'two-equals-at-end', name: 'Two Equals at End Rule', difficulty: 2, supports: hasTangoLines, apply: applyTwoEqualsAtEndRule },
+  { id: 'second-to-last-equals-first', name: 'Second-to-Last Equals First Rule', difficulty: 2, supports: hasTangoLines, apply: applySecondToLastEqualsFirstRule },
+  { id: 'modifier-balance', name: 'Modifier Balance Rule', difficulty: 3, supports: hasTangoLines, apply: applyModifierWithTwoEqualsRule },
+  { id: 'end-with-equals-constraint', name: 'End with Equals Constraint Rule', difficulty: 2, supports: hasTangoLines, apply: applyEndWithEqualsConstraintRule },
+  { id: 'adjacent-equals-constraint', name: 'Adjacent Equals Constraint Rule', difficulty: 2, supports: allowsPairs, apply: applyAdjacentEqualsConstraintRule },
+  { id: 'line-enumeration', name: 'Line Enumeration Rule', difficulty: 3, apply: applyLineEnumerationRule },
+  { id: 'proof-by-contradiction', name: 'Proof by Contradiction', difficulty: 5, lookahead: true, apply: applyContradictionRule }
+]
+
+BUILT_IN_RULES.forEach(rule => registerRule(rule))
 
-  // Rule 7: Second-to-last equals first rule
-  step = applySecondToLastEqualsFirstRule(grid, constraints, size)
-  if (step) return step
+/**
+ * Apply the given rules in order and return the first step found.
+ * With groupSteps, the step also fills every other cell its deduction implies.
+ */
+function applyAllRules(grid, constraints, size, rules, ruleset, groupSteps = false) {
+  const context = { rules, ruleset }
 
-  // Rule 8: Modifier with two equals rule
-  step = applyModifierWithTwoEqualsRule(grid, constraints, size)
-  if (step) return step
+  for (const rule of rules) {
+    const step = rule.apply(grid, constraints, size, context)
+    if (step) {
+      step.ruleId = rule.id
+      if (step.reason) step.reason.ruleId = rule.id
+      if (groupSteps && !rule.lookahead) groupDeduction(step, rule, grid, constraints, size, context)
+      return step
+    }
+  }
+
+  return null
+}
 
-  // Rule 9: End with equals constraint rule
-  step = applyEndWithEqualsConstraintRule(grid, constraints, size)
-  if (step) return step
+// Reason fields that identify a deduction; the target, value and cells may differ
+// between the cells it fills
+const DEDUCTION_FIELDS = ['type', 'line', 'otherLine', 'symbol', 'side', 'direction', 'counts', 'edges']
 
-  // Rule 10: Adjacent equals constraint rule
-  step = applyAdjacentEqualsConstraintRule(grid, constraints, size)
-  if (step) return step
+/**
+ * Keep applying the rule that made a step for as long as it repeats the same
+ * deduction, and merge the cells it fills into the step. A follow-up counts as
+ * the same deduction when its reason matches on DEDUCTION_FIELDS and it only
+ * rests on cells the step already used or filled, as when the parity rule
+ * fills the rest of a line one cell at a time. Mutates grid and step.
+ */
+function groupDeduction(step, rule, grid, constraints, size, context) {
+  if (!step.reason) return
+
+  const deduction = JSON.stringify(DEDUCTION_FIELDS.map(field => step.reason[field]))
+  const known = new Set([...step.reason.cells, ...step.resultCells].map(([r, c]) => `${r},${c}`))
+  const affectedCells = [...step.affectedCells]
+  const ownResults = step.resultCells.length
+
+  while (true) {
+    const gridBefore = grid.map(row => row.slice())
+    const next = rule.apply(grid, constraints, size, context)
+    const isSameDeduction = next && next.reason &&
+      JSON.stringify(DEDUCTION_FIELDS.map(field => next.reason[field])) === deduction &&
+      next.reason.cells.every(([r, c]) => known.has(`${r},${c}`))
+
+    if (!isSameDeduction) {
+      gridBefore.forEach((row, r) => row.forEach((value, c) => { grid[r][c] = value }))
+      break
+    }
 
-  return null
+    for (const [r, c, value] of next.resultCells) {
+      step.resultCells.push([r, c, value])
+      known.add(`${r},${c}`)
+    }
+    affectedCells.push(...next.affectedCells)
+  }
+
+  if (step.resultCells.length === ownResults) return
+
+  const isResult = ([r, c]) => step.resultCells.some(([rr, cc]) => rr === r && cc === c)
+  step.affectedCells = uniqueCells(affectedCells).filter(cell => !isResult(cell))
+  step.reason.group = step.resultCells.slice(ownResults)
+  step.explanation = formatReason(step.reason)
 }
 
 /**
@@ -146,9 +369,10 @@ function applyAllRules(grid, constraints, size) {
  * then the neighbouring cells must be the opposite
  */
 function applyNoThreeRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
   // Check rows
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size - 1; col++) {
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col++) {
       const val1 = grid[row][col]
       const val2 = grid[row][col + 1]
       
@@ -158,9 +382,9 @@ function applyNoThreeRule(grid, constraints, size) {
         // Check left neighbor
         if (col > 0 && grid[row][col - 1] === null) {
           grid[row][col - 1] = opposite
-          return new SolvingStep(
+          return createStep(
             'No-Three Rule',
-            `Row ${row + 1} has two ${val1 === 'sun' ? 'suns' : 'moons'} at positions ${col + 1} and ${col + 2}. To avoid three in a row, the cell at position ${col} must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+            { type: 'no-three', line: lineInfo('row', row, size), symbol: val1 },
             [[row, col], [row, col + 1]],
             [row, col - 1],
             opposite
@@ -168,11 +392,11 @@ function applyNoThreeRule(grid, constraints, size) {
         }
         
         // Check right neighbor
-        if (col + 2 < size && grid[row][col + 2] === null) {
+        if (col + 2 < cols && grid[row][col + 2] === null) {
           grid[row][col + 2] = opposite
-          return new SolvingStep(
+          return createStep(
             'No-Three Rule',
-            `Row ${row + 1} has two ${val1 === 'sun' ? 'suns' : 'moons'} at positions ${col + 1} and ${col + 2}. To avoid three in a row, the cell at position ${col + 3} must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+            { type: 'no-three', line: lineInfo('row', row, size), symbol: val1 },
             [[row, col], [row, col + 1]],
             [row, col + 2],
             opposite
@@ -183,8 +407,8 @@ function applyNoThreeRule(grid, constraints, size) {
   }
 
   // Check columns
-  for (let col = 0; col < size; col++) {
-    for (let row = 0; row < size - 1; row++) {
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows - 1; row++) {
       const val1 = grid[row][col]
       const val2 = grid[row + 1][col]
       
@@ -194,9 +418,9 @@ function applyNoThreeRule(grid, constraints, size) {
         // Check top neighbor
         if (row > 0 && grid[row - 1][col] === null) {
           grid[row - 1][col] = opposite
-          return new SolvingStep(
+          return createStep(
             'No-Three Rule',
-            `Column ${col + 1} has two ${val1 === 'sun' ? 'suns' : 'moons'} at rows ${row + 1} and ${row + 2}. To avoid three in a row, the cell at row ${row} must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+            { type: 'no-three', line: lineInfo('column', col, size), symbol: val1 },
             [[row, col], [row + 1, col]],
             [row - 1, col],
             opposite
@@ -204,11 +428,11 @@ function applyNoThreeRule(grid, constraints, size) {
         }
         
         // Check bottom neighbor
-        if (row + 2 < size && grid[row + 2][col] === null) {
+        if (row + 2 < rows && grid[row + 2][col] === null) {
           grid[row + 2][col] = opposite
-          return new SolvingStep(
+          return createStep(
             'No-Three Rule',
-            `Column ${col + 1} has two ${val1 === 'sun' ? 'suns' : 'moons'} at rows ${row + 1} and ${row + 2}. To avoid three in a row, the cell at row ${row + 3} must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+            { type: 'no-three', line: lineInfo('column', col, size), symbol: val1 },
             [[row, col], [row + 1, col]],
             [row + 2, col],
             opposite
@@ -226,22 +450,23 @@ function applyNoThreeRule(grid, constraints, size) {
  * fill remaining cells with the opposite
  */
 function applyParityRule(grid, constraints, size) {
-  const maxAllowed = Math.floor(size / 2)
+  const { rows, cols } = getDimensions(size)
 
   // Check rows
-  for (let row = 0; row < size; row++) {
+  for (let row = 0; row < rows; row++) {
+    const maxAllowed = Math.floor(cols / 2)
     const rowValues = grid[row].filter(v => v !== null)
     const suns = rowValues.filter(v => v === 'sun').length
     const moons = rowValues.filter(v => v === 'moon').length
 
     if (suns === maxAllowed) {
       // Fill remaining with moons
-      for (let col = 0; col < size; col++) {
+      for (let col = 0; col < cols; col++) {
         if (grid[row][col] === null) {
           grid[row][col] = 'moon'
-          return new SolvingStep(
+          return createStep(
             'Parity Rule',
-            `Row ${row + 1} already has ${maxAllowed} suns (the maximum allowed). The remaining empty cells in this row must be moons. Filling cell at position ${col + 1}.`,
+            { type: 'parity', line: lineInfo('row', row, size), symbol: 'sun', counts: { maxAllowed } },
             grid[row].map((val, idx) => val !== null ? [row, idx] : null).filter(x => x !== null),
             [row, col],
             'moon'
@@ -252,12 +477,12 @@ function applyParityRule(grid, constraints, size) {
 
     if (moons === maxAllowed) {
       // Fill remaining with suns
-      for (let col = 0; col < size; col++) {
+      for (let col = 0; col < cols; col++) {
         if (grid[row][col] === null) {
           grid[row][col] = 'sun'
-          return new SolvingStep(
+          return createStep(
             'Parity Rule',
-            `Row ${row + 1} already has ${maxAllowed} moons (the maximum allowed). The remaining empty cells in this row must be suns. Filling cell at position ${col + 1}.`,
+            { type: 'parity', line: lineInfo('row', row, size), symbol: 'moon', counts: { maxAllowed } },
             grid[row].map((val, idx) => val !== null ? [row, idx] : null).filter(x => x !== null),
             [row, col],
             'sun'
@@ -268,19 +493,20 @@ function applyParityRule(grid, constraints, size) {
   }
 
   // Check columns
-  for (let col = 0; col < size; col++) {
+  for (let col = 0; col < cols; col++) {
+    const maxAllowed = Math.floor(rows / 2)
     const colValues = grid.map(r => r[col]).filter(v => v !== null)
     const suns = colValues.filter(v => v === 'sun').length
     const moons = colValues.filter(v => v === 'moon').length
 
     if (suns === maxAllowed) {
       // Fill remaining with moons
-      for (let row = 0; row < size; row++) {
+      for (let row = 0; row < rows; row++) {
         if (grid[row][col] === null) {
           grid[row][col] = 'moon'
-          return new SolvingStep(
+          return createStep(
             'Parity Rule',
-            `Column ${col + 1} already has ${maxAllowed} suns (the maximum allowed). The remaining empty cells in this column must be moons. Filling cell at row ${row + 1}.`,
+            { type: 'parity', line: lineInfo('column', col, size), symbol: 'sun', counts: { maxAllowed } },
             grid.map((r, idx) => r[col] !== null ? [idx, col] : null).filter(x => x !== null),
             [row, col],
             'moon'
@@ -291,12 +517,12 @@ function applyParityRule(grid, constraints, size) {
 
     if (moons === maxAllowed) {
       // Fill remaining with suns
-      for (let row = 0; row < size; row++) {
+      for (let row = 0; row < rows; row++) {
         if (grid[row][col] === null) {
           grid[row][col] = 'sun'
-          return new SolvingStep(
+          return createStep(
             'Parity Rule',
-            `Column ${col + 1} already has ${maxAllowed} moons (the maximum allowed). The remaining empty cells in this column must be suns. Filling cell at row ${row + 1}.`,
+            { type: 'parity', line: lineInfo('column', col, size), symbol: 'moon', counts: { maxAllowed } },
             grid.map((r, idx) => r[col] !== null ? [idx, col] : null).filter(x => x !== null),
             [row, col],
             'sun'
@@ -322,9 +548,9 @@ function applyConstraintPropagation(grid, constraints, size) {
 
     if (val1 !== null && val2 === null) {
       grid[r2][c2] = val1
-      return new SolvingStep(
+      return createStep(
         'Constraint Propagation (Equals)',
-        `Cell (${r1 + 1},${c1 + 1}) is ${val1 === 'sun' ? 'sun' : 'moon'} and has an equals constraint with cell (${r2 + 1},${c2 + 1}). Therefore, cell (${r2 + 1},${c2 + 1}) must also be ${val1 === 'sun' ? 'sun' : 'moon'}.`,
+        { type: 'equals-propagation', symbol: val1, edges: [[r1, c1, r2, c2]] },
         [[r1, c1]],
         [r2, c2],
         val1
@@ -333,9 +559,9 @@ function applyConstraintPropagation(grid, constraints, size) {
 
     if (val2 !== null && val1 === null) {
       grid[r1][c1] = val2
-      return new SolvingStep(
+      return createStep(
         'Constraint Propagation (Equals)',
-        `Cell (${r2 + 1},${c2 + 1}) is ${val2 === 'sun' ? 'sun' : 'moon'} and has an equals constraint with cell (${r1 + 1},${c1 + 1}). Therefore, cell (${r1 + 1},${c1 + 1}) must also be ${val2 === 'sun' ? 'sun' : 'moon'}.`,
+        { type: 'equals-propagation', symbol: val2, edges: [[r1, c1, r2, c2]] },
         [[r2, c2]],
         [r1, c1],
         val2
@@ -351,9 +577,9 @@ function applyConstraintPropagation(grid, constraints, size) {
     if (val1 !== null && val2 === null) {
       const opposite = val1 === 'sun' ? 'moon' : 'sun'
       grid[r2][c2] = opposite
-      return new SolvingStep(
+      return createStep(
         'Constraint Propagation (Not Equals)',
-        `Cell (${r1 + 1},${c1 + 1}) is ${val1 === 'sun' ? 'sun' : 'moon'} and has a not-equals constraint (×) with cell (${r2 + 1},${c2 + 1}). Therefore, cell (${r2 + 1},${c2 + 1}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+        { type: 'not-equals-propagation', symbol: val1, edges: [[r1, c1, r2, c2]] },
         [[r1, c1]],
         [r2, c2],
         opposite
@@ -363,9 +589,9 @@ function applyConstraintPropagation(grid, constraints, size) {
     if (val2 !== null && val1 === null) {
       const opposite = val2 === 'sun' ? 'moon' : 'sun'
       grid[r1][c1] = opposite
-      return new SolvingStep(
+      return createStep(
         'Constraint Propagation (Not Equals)',
-        `Cell (${r2 + 1},${c2 + 1}) is ${val2 === 'sun' ? 'sun' : 'moon'} and has a not-equals constraint (×) with cell (${r1 + 1},${c1 + 1}). Therefore, cell (${r1 + 1},${c1 + 1}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+        { type: 'not-equals-propagation', symbol: val2, edges: [[r1, c1, r2, c2]] },
         [[r2, c2]],
         [r1, c1],
         opposite
@@ -381,70 +607,76 @@ function applyConstraintPropagation(grid, constraints, size) {
  * the inner cells (second to last) must be opposite
  */
 function applyEdgeCases(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+
   // Check rows
-  for (let row = 0; row < size; row++) {
-    const first = grid[row][0]
-    const last = grid[row][size - 1]
+  if (cols <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let row = 0; row < rows; row++) {
+      const first = grid[row][0]
+      const last = grid[row][cols - 1]
 
-    if (first !== null && last !== null && first === last) {
-      const opposite = first === 'sun' ? 'moon' : 'sun'
-      
-      // Check second cell
-      if (grid[row][1] === null) {
-        grid[row][1] = opposite
-        return new SolvingStep(
-          'Edge Case Rule',
-          `Row ${row + 1} has ${first === 'sun' ? 'sun' : 'moon'} at both ends (positions 1 and ${size}). To maintain balance and avoid patterns, the second cell (position 2) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-          [[row, 0], [row, size - 1]],
-          [row, 1],
-          opposite
-        )
-      }
-      
-      // Check second-to-last cell
-      if (grid[row][size - 2] === null) {
-        grid[row][size - 2] = opposite
-        return new SolvingStep(
-          'Edge Case Rule',
-          `Row ${row + 1} has ${first === 'sun' ? 'sun' : 'moon'} at both ends (positions 1 and ${size}). To maintain balance and avoid patterns, the second-to-last cell (position ${size - 1}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-          [[row, 0], [row, size - 1]],
-          [row, size - 2],
-          opposite
-        )
+      if (first !== null && last !== null && first === last) {
+        const opposite = first === 'sun' ? 'moon' : 'sun'
+        
+        // Check second cell
+        if (grid[row][1] === null) {
+          grid[row][1] = opposite
+          return createStep(
+            'Edge Case Rule',
+            { type: 'edge-case', line: lineInfo('row', row, size), symbol: first },
+            [[row, 0], [row, cols - 1]],
+            [row, 1],
+            opposite
+          )
+        }
+        
+        // Check second-to-last cell
+        if (grid[row][cols - 2] === null) {
+          grid[row][cols - 2] = opposite
+          return createStep(
+            'Edge Case Rule',
+            { type: 'edge-case', line: lineInfo('row', row, size), symbol: first },
+            [[row, 0], [row, cols - 1]],
+            [row, cols - 2],
+            opposite
+          )
+        }
       }
     }
   }
 
   // Check columns
-  for (let col = 0; col < size; col++) {
-    const first = grid[0][col]
-    const last = grid[size - 1][col]
+  if (rows <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let col = 0; col < cols; col++) {
+      const first = grid[0][col]
+      const last = grid[rows - 1][col]
 
-    if (first !== null && last !== null && first === last) {
-      const opposite = first === 'sun' ? 'moon' : 'sun'
-      
-      // Check second cell
-      if (grid[1][col] === null) {
-        grid[1][col] = opposite
-        return new SolvingStep(
-          'Edge Case Rule',
-          `Column ${col + 1} has ${first === 'sun' ? 'sun' : 'moon'} at both ends (rows 1 and ${size}). To maintain balance and avoid patterns, the second cell (row 2) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-          [[0, col], [size - 1, col]],
-          [1, col],
-          opposite
-        )
-      }
-      
-      // Check second-to-last cell
-      if (grid[size - 2][col] === null) {
-        grid[size - 2][col] = opposite
-        return new SolvingStep(
-          'Edge Case Rule',
-          `Column ${col + 1} has ${first === 'sun' ? 'sun' : 'moon'} at both ends (rows 1 and ${size}). To maintain balance and avoid patterns, the second-to-last cell (row ${size - 1}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-          [[0, col], [size - 1, col]],
-          [size - 2, col],
-          opposite
-        )
+      if (first !== null && last !== null && first === last) {
+        const opposite = first === 'sun' ? 'moon' : 'sun'
+        
+        // Check second cell
+        if (grid[1][col] === null) {
+          grid[1][col] = opposite
+          return createStep(
+            'Edge Case Rule',
+            { type: 'edge-case', line: lineInfo('column', col, size), symbol: first },
+            [[0, col], [rows - 1, col]],
+            [1, col],
+            opposite
+          )
+        }
+        
+        // Check second-to-last cell
+        if (grid[rows - 2][col] === null) {
+          grid[rows - 2][col] = opposite
+          return createStep(
+            'Edge Case Rule',
+            { type: 'edge-case', line: lineInfo('column', col, size), symbol: first },
+            [[0, col], [rows - 1, col]],
+            [rows - 2, col],
+            opposite
+          )
+        }
       }
     }
   }
@@ -456,9 +688,10 @@ function applyEdgeCases(grid, constraints, size) {
  * Rule 5: Gap rule - if we have X _ X pattern, the middle must be opposite
  */
 function applyGapRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
   // Check rows
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size - 2; col++) {
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 2; col++) {
       const val1 = grid[row][col]
       const val2 = grid[row][col + 2]
       const middle = grid[row][col + 1]
@@ -466,9 +699,9 @@ function applyGapRule(grid, constraints, size) {
       if (val1 !== null && val2 !== null && val1 === val2 && middle === null) {
         const opposite = val1 === 'sun' ? 'moon' : 'sun'
         grid[row][col + 1] = opposite
-        return new SolvingStep(
+        return createStep(
           'Gap Rule',
-          `Row ${row + 1} has ${val1 === 'sun' ? 'sun' : 'moon'} at positions ${col + 1} and ${col + 3} with an empty cell between them. To avoid three in a row, the middle cell (position ${col + 2}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+          { type: 'gap', line: lineInfo('row', row, size), symbol: val1 },
           [[row, col], [row, col + 2]],
           [row, col + 1],
           opposite
@@ -478,8 +711,8 @@ function applyGapRule(grid, constraints, size) {
   }
 
   // Check columns
-  for (let col = 0; col < size; col++) {
-    for (let row = 0; row < size - 2; row++) {
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows - 2; row++) {
       const val1 = grid[row][col]
       const val2 = grid[row + 2][col]
       const middle = grid[row + 1][col]
@@ -487,9 +720,9 @@ function applyGapRule(grid, constraints, size) {
       if (val1 !== null && val2 !== null && val1 === val2 && middle === null) {
         const opposite = val1 === 'sun' ? 'moon' : 'sun'
         grid[row + 1][col] = opposite
-        return new SolvingStep(
+        return createStep(
           'Gap Rule',
-          `Column ${col + 1} has ${val1 === 'sun' ? 'sun' : 'moon'} at rows ${row + 1} and ${row + 3} with an empty cell between them. To avoid three in a row, the middle cell (row ${row + 2}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
+          { type: 'gap', line: lineInfo('column', col, size), symbol: val1 },
           [[row, col], [row + 2, col]],
           [row + 1, col],
           opposite
@@ -506,63 +739,69 @@ function applyGapRule(grid, constraints, size) {
  * then the cell on the opposite end must be opposite
  */
 function applyTwoEqualsAtEndRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+
   // Check rows - two equals at start
-  for (let row = 0; row < size; row++) {
-    if (grid[row][0] !== null && grid[row][1] !== null && 
-        grid[row][0] === grid[row][1] && grid[row][size - 1] === null) {
-      const opposite = grid[row][0] === 'sun' ? 'moon' : 'sun'
-      grid[row][size - 1] = opposite
-      return new SolvingStep(
-        'Two Equals at End Rule',
-        `Row ${row + 1} has two ${grid[row][0] === 'sun' ? 'suns' : 'moons'} at the start (positions 1 and 2). To maintain balance, the cell at the opposite end (position ${size}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[row, 0], [row, 1]],
-        [row, size - 1],
-        opposite
-      )
-    }
+  if (cols <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let row = 0; row < rows; row++) {
+      if (grid[row][0] !== null && grid[row][1] !== null && 
+          grid[row][0] === grid[row][1] && grid[row][cols - 1] === null) {
+        const opposite = grid[row][0] === 'sun' ? 'moon' : 'sun'
+        grid[row][cols - 1] = opposite
+        return createStep(
+          'Two Equals at End Rule',
+          { type: 'two-equals-at-end', line: lineInfo('row', row, size), symbol: grid[row][0], side: 'start' },
+          [[row, 0], [row, 1]],
+          [row, cols - 1],
+          opposite
+        )
+      }
 
-    // Two equals at end
-    if (grid[row][size - 2] !== null && grid[row][size - 1] !== null && 
-        grid[row][size - 2] === grid[row][size - 1] && grid[row][0] === null) {
-      const opposite = grid[row][size - 1] === 'sun' ? 'moon' : 'sun'
-      grid[row][0] = opposite
-      return new SolvingStep(
-        'Two Equals at End Rule',
-        `Row ${row + 1} has two ${grid[row][size - 1] === 'sun' ? 'suns' : 'moons'} at the end (positions ${size - 1} and ${size}). To maintain balance, the cell at the opposite end (position 1) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[row, size - 2], [row, size - 1]],
-        [row, 0],
-        opposite
-      )
+      // Two equals at end
+      if (grid[row][cols - 2] !== null && grid[row][cols - 1] !== null && 
+          grid[row][cols - 2] === grid[row][cols - 1] && grid[row][0] === null) {
+        const opposite = grid[row][cols - 1] === 'sun' ? 'moon' : 'sun'
+        grid[row][0] = opposite
+        return createStep(
+          'Two Equals at End Rule',
+          { type: 'two-equals-at-end', line: lineInfo('row', row, size), symbol: grid[row][cols - 1], side: 'end' },
+          [[row, cols - 2], [row, cols - 1]],
+          [row, 0],
+          opposite
+        )
+      }
     }
   }
 
   // Check columns - two equals at top
-  for (let col = 0; col < size; col++) {
-    if (grid[0][col] !== null && grid[1][col] !== null && 
-        grid[0][col] === grid[1][col] && grid[size - 1][col] === null) {
-      const opposite = grid[0][col] === 'sun' ? 'moon' : 'sun'
-      grid[size - 1][col] = opposite
-      return new SolvingStep(
-        'Two Equals at End Rule',
-        `Column ${col + 1} has two ${grid[0][col] === 'sun' ? 'suns' : 'moons'} at the top (rows 1 and 2). To maintain balance, the cell at the opposite end (row ${size}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[0, col], [1, col]],
-        [size - 1, col],
-        opposite
-      )
-    }
+  if (rows <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[0][col] !== null && grid[1][col] !== null && 
+          grid[0][col] === grid[1][col] && grid[rows - 1][col] === null) {
+        const opposite = grid[0][col] === 'sun' ? 'moon' : 'sun'
+        grid[rows - 1][col] = opposite
+        return createStep(
+          'Two Equals at End Rule',
+          { type: 'two-equals-at-end', line: lineInfo('column', col, size), symbol: grid[0][col], side: 'start' },
+          [[0, col], [1, col]],
+          [rows - 1, col],
+          opposite
+        )
+      }
 
-    // Two equals at bottom
-    if (grid[size - 2][col] !== null && grid[size - 1][col] !== null && 
-        grid[size - 2][col] === grid[size - 1][col] && grid[0][col] === null) {
-      const opposite = grid[size - 1][col] === 'sun' ? 'moon' : 'sun'
-      grid[0][col] = opposite
-      return new SolvingStep(
-        'Two Equals at End Rule',
-        `Column ${col + 1} has two ${grid[size - 1][col] === 'sun' ? 'suns' : 'moons'} at the bottom (rows ${size - 1} and ${size}). To maintain balance, the cell at the opposite end (row 1) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[size - 2, col], [size - 1, col]],
-        [0, col],
-        opposite
-      )
+      // Two equals at bottom
+      if (grid[rows - 2][col] !== null && grid[rows - 1][col] !== null && 
+          grid[rows - 2][col] === grid[rows - 1][col] && grid[0][col] === null) {
+        const opposite = grid[rows - 1][col] === 'sun' ? 'moon' : 'sun'
+        grid[0][col] = opposite
+        return createStep(
+          'Two Equals at End Rule',
+          { type: 'two-equals-at-end', line: lineInfo('column', col, size), symbol: grid[rows - 1][col], side: 'end' },
+          [[rows - 2, col], [rows - 1, col]],
+          [0, col],
+          opposite
+        )
+      }
     }
   }
 
@@ -574,49 +813,74 @@ function applyTwoEqualsAtEndRule(grid, constraints, size) {
  * then the (empty) end cell must be opposite
  */
 function applySecondToLastEqualsFirstRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+
   // Check rows
-  for (let row = 0; row < size; row++) {
-    const first = grid[row][0]
-    const secondToLast = grid[row][size - 2]
-    const last = grid[row][size - 1]
-
-    if (first !== null && secondToLast !== null && 
-        first === secondToLast && last === null) {
-      const opposite = first === 'sun' ? 'moon' : 'sun'
-      grid[row][size - 1] = opposite
-      return new SolvingStep(
-        'Second-to-Last Equals First Rule',
-        `Row ${row + 1} has ${first === 'sun' ? 'sun' : 'moon'} at position 1 and position ${size - 1} (second to last). To avoid patterns and maintain balance, the last cell (position ${size}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[row, 0], [row, size - 2]],
-        [row, size - 1],
-        opposite
-      )
+  if (cols <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let row = 0; row < rows; row++) {
+      const first = grid[row][0]
+      const secondToLast = grid[row][cols - 2]
+      const last = grid[row][cols - 1]
+
+      if (first !== null && secondToLast !== null && 
+          first === secondToLast && last === null) {
+        const opposite = first === 'sun' ? 'moon' : 'sun'
+        grid[row][cols - 1] = opposite
+        return createStep(
+          'Second-to-Last Equals First Rule',
+          { type: 'second-to-last-equals-first', line: lineInfo('row', row, size), symbol: first },
+          [[row, 0], [row, cols - 2]],
+          [row, cols - 1],
+          opposite
+        )
+      }
     }
   }
 
   // Check columns
-  for (let col = 0; col < size; col++) {
-    const first = grid[0][col]
-    const secondToLast = grid[size - 2][col]
-    const last = grid[size - 1][col]
-
-    if (first !== null && secondToLast !== null && 
-        first === secondToLast && last === null) {
-      const opposite = first === 'sun' ? 'moon' : 'sun'
-      grid[size - 1][col] = opposite
-      return new SolvingStep(
-        'Second-to-Last Equals First Rule',
-        `Column ${col + 1} has ${first === 'sun' ? 'sun' : 'moon'} at row 1 and row ${size - 1} (second to last). To avoid patterns and maintain balance, the last cell (row ${size}) must be ${opposite === 'sun' ? 'sun' : 'moon'}.`,
-        [[0, col], [size - 2, col]],
-        [size - 1, col],
-        opposite
-      )
+  if (rows <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let col = 0; col < cols; col++) {
+      const first = grid[0][col]
+      const secondToLast = grid[rows - 2][col]
+      const last = grid[rows - 1][col]
+
+      if (first !== null && secondToLast !== null && 
+          first === secondToLast && last === null) {
+        const opposite = first === 'sun' ? 'moon' : 'sun'
+        grid[rows - 1][col] = opposite
+        return createStep(
+          'Second-to-Last Equals First Rule',
+          { type: 'second-to-last-equals-first', line: lineInfo('column', col, size), symbol: first },
+          [[0, col], [rows - 2, col]],
+          [rows - 1, col],
+          opposite
+        )
+      }
     }
   }
 
   return null
 }
 
+/**
+ * The notEquals pairs inside a line with both cells still empty. Such a pair is
+ * bound to add one sun and one moon to the line; a pair with a filled cell has
+ * already been counted.
+ * @param {Array<Array<string|null>>} grid - Grid state
+ * @param {Object} constraints - Constraints object
+ * @param {string} lineType - 'row' or 'column'
+ * @param {number} index - Row or column index
+ * @returns {Array<Array<number>>} - The pairs as [r1, c1, r2, c2]
+ */
+function findOpenNotEqualsPairs(grid, constraints, lineType, index) {
+  return constraints.notEquals.filter(([r1, c1, r2, c2]) => {
+    const isInLine = lineType === 'row'
+      ? r1 === index && r2 === index && c1 !== c2
+      : c1 === index && c2 === index && r1 !== r2
+    return isInLine && grid[r1][c1] === null && grid[r2][c2] === null
+  })
+}
+
 /**
  * Rule 8: Modifier balance rule
  * If a column/row already has (maxAllowed - 1) of one symbol, and there's a 
@@ -628,10 +892,11 @@ function applySecondToLastEqualsFirstRule(grid, constraints, size) {
  * be sun, and column 2 already has enough suns, then other cells must be moons.
  */
 function applyModifierWithTwoEqualsRule(grid, constraints, size) {
-  const maxAllowed = Math.floor(size / 2)
+  const { rows, cols } = getDimensions(size)
 
   // Check columns - if one column is near capacity and another has constraints
-  for (let col1 = 0; col1 < size; col1++) {
+  for (let col1 = 0; col1 < cols; col1++) {
+    const maxAllowed = Math.floor(rows / 2)
     const col1Values = grid.map(r => r[col1]).filter(v => v !== null)
     const col1Suns = col1Values.filter(v => v === 'sun').length
     const col1Moons = col1Values.filter(v => v === 'moon').length
@@ -642,7 +907,7 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
       const oppositeSymbol = neededSymbol === 'sun' ? 'moon' : 'sun'
 
       // Check other columns for notEquals constraints that might force the needed symbol
-      for (let col2 = 0; col2 < size; col2++) {
+      for (let col2 = 0; col2 < cols; col2++) {
         if (col1 === col2) continue
 
         // Find notEquals constraints in column 2
@@ -678,9 +943,9 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
                 (neededSymbol === 'moon' && col2Moons >= maxAllowed)) {
               // Column 2 can't have more of neededSymbol, so this cell must be opposite
               grid[r2][c2] = oppositeSymbol
-              return new SolvingStep(
+              return createStep(
                 'Modifier Balance Rule',
-                `Column ${col1 + 1} needs one more ${neededSymbol === 'sun' ? 'sun' : 'moon'}, and column ${col2 + 1} has a not-equals constraint (×) at rows ${r1 + 1} and ${r2 + 1}. Since row ${r1 + 1} is ${neededSymbol === 'sun' ? 'sun' : 'moon'} and column ${col2 + 1} already has the maximum allowed ${neededSymbol === 'sun' ? 'suns' : 'moons'}, row ${r2 + 1} must be ${oppositeSymbol === 'sun' ? 'sun' : 'moon'}.`,
+                { type: 'modifier-balance-pair', line: lineInfo('column', col2, size), otherLine: lineInfo('column', col1, size), symbol: neededSymbol, edges: [[r1, c1, r2, c2]] },
                 [[r1, c1]],
                 [r2, c2],
                 oppositeSymbol
@@ -697,9 +962,9 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
             if ((neededSymbol === 'sun' && col2Suns >= maxAllowed) ||
                 (neededSymbol === 'moon' && col2Moons >= maxAllowed)) {
               grid[r1][c1] = oppositeSymbol
-              return new SolvingStep(
+              return createStep(
                 'Modifier Balance Rule',
-                `Column ${col1 + 1} needs one more ${neededSymbol === 'sun' ? 'sun' : 'moon'}, and column ${col2 + 1} has a not-equals constraint (×) at rows ${r1 + 1} and ${r2 + 1}. Since row ${r2 + 1} is ${neededSymbol === 'sun' ? 'sun' : 'moon'} and column ${col2 + 1} already has the maximum allowed ${neededSymbol === 'sun' ? 'suns' : 'moons'}, row ${r1 + 1} must be ${oppositeSymbol === 'sun' ? 'sun' : 'moon'}.`,
+                { type: 'modifier-balance-pair', line: lineInfo('column', col2, size), otherLine: lineInfo('column', col1, size), symbol: neededSymbol, edges: [[r1, c1, r2, c2]] },
                 [[r2, c2]],
                 [r1, c1],
                 oppositeSymbol
@@ -712,7 +977,8 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
   }
 
   // Similar logic for rows
-  for (let row1 = 0; row1 < size; row1++) {
+  for (let row1 = 0; row1 < rows; row1++) {
+    const maxAllowed = Math.floor(cols / 2)
     const row1Values = grid[row1].filter(v => v !== null)
     const row1Suns = row1Values.filter(v => v === 'sun').length
     const row1Moons = row1Values.filter(v => v === 'moon').length
@@ -723,7 +989,7 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
       const oppositeSymbol = neededSymbol === 'sun' ? 'moon' : 'sun'
 
       // Check other rows for notEquals constraints
-      for (let row2 = 0; row2 < size; row2++) {
+      for (let row2 = 0; row2 < rows; row2++) {
         if (row1 === row2) continue
 
         // Check for notEquals constraints within row 2
@@ -744,9 +1010,9 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
             if ((neededSymbol === 'sun' && row2Suns >= maxAllowed) ||
                 (neededSymbol === 'moon' && row2Moons >= maxAllowed)) {
               grid[r2][c2] = oppositeSymbol
-              return new SolvingStep(
+              return createStep(
                 'Modifier Balance Rule',
-                `Row ${row1 + 1} needs one more ${neededSymbol === 'sun' ? 'sun' : 'moon'}, and row ${row2 + 1} has a not-equals constraint (×) at columns ${c1 + 1} and ${c2 + 1}. Since column ${c1 + 1} is ${neededSymbol === 'sun' ? 'sun' : 'moon'} and row ${row2 + 1} already has the maximum allowed ${neededSymbol === 'sun' ? 'suns' : 'moons'}, column ${c2 + 1} must be ${oppositeSymbol === 'sun' ? 'sun' : 'moon'}.`,
+                { type: 'modifier-balance-pair', line: lineInfo('row', row2, size), otherLine: lineInfo('row', row1, size), symbol: neededSymbol, edges: [[r1, c1, r2, c2]] },
                 [[r1, c1]],
                 [r2, c2],
                 oppositeSymbol
@@ -763,9 +1029,9 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
             if ((neededSymbol === 'sun' && row2Suns >= maxAllowed) ||
                 (neededSymbol === 'moon' && row2Moons >= maxAllowed)) {
               grid[r1][c1] = oppositeSymbol
-              return new SolvingStep(
+              return createStep(
                 'Modifier Balance Rule',
-                `Row ${row1 + 1} needs one more ${neededSymbol === 'sun' ? 'sun' : 'moon'}, and row ${row2 + 1} has a not-equals constraint (×) at columns ${c1 + 1} and ${c2 + 1}. Since column ${c2 + 1} is ${neededSymbol === 'sun' ? 'sun' : 'moon'} and row ${row2 + 1} already has the maximum allowed ${neededSymbol === 'sun' ? 'suns' : 'moons'}, column ${c1 + 1} must be ${oppositeSymbol === 'sun' ? 'sun' : 'moon'}.`,
+                { type: 'modifier-balance-pair', line: lineInfo('row', row2, size), otherLine: lineInfo('row', row1, size), symbol: neededSymbol, edges: [[r1, c1, r2, c2]] },
                 [[r2, c2]],
                 [r1, c1],
                 oppositeSymbol
@@ -781,36 +1047,30 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
   // in that same column/row, the constraint guarantees exactly 1 more of that symbol
   // (since one cell must be that symbol, one must be opposite).
   // Therefore, all other empty cells must be the opposite symbol.
-  for (let col = 0; col < size; col++) {
+  for (let col = 0; col < cols; col++) {
     const colValues = grid.map(r => r[col]).filter(v => v !== null)
     const colSuns = colValues.filter(v => v === 'sun').length
     const colMoons = colValues.filter(v => v === 'moon').length
-    const maxAllowed = Math.floor(size / 2)
+    const maxAllowed = Math.floor(rows / 2)
 
     // Check if column has (maxAllowed - 1) of one symbol
     if (colSuns === maxAllowed - 1) {
       // Column needs exactly 1 more sun and (maxAllowed + 1) more moons
       // Check for notEquals constraints in this column
-      for (const [r1, c1, r2, c2] of constraints.notEquals) {
-        if (c1 !== col || c2 !== col) continue
-        if (r1 === r2) continue // Must be vertical
-
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-
+      for (const [r1, c1, r2, c2] of findOpenNotEqualsPairs(grid, constraints, 'column', col)) {
         // The notEquals constraint guarantees exactly 1 sun and 1 moon between these two cells
         // Since we need exactly 1 more sun, this constraint will provide it
         // Therefore, all other empty cells in the column must be moons
         
         // Find empty cells in this column that are not part of the constraint
-        for (let row = 0; row < size; row++) {
+        for (let row = 0; row < rows; row++) {
           if (row === r1 || row === r2) continue // Skip constraint cells
           if (grid[row][col] !== null) continue // Skip filled cells
           
           grid[row][col] = 'moon'
-          return new SolvingStep(
+          return createStep(
             'Modifier Balance Rule',
-            `Column ${col + 1} has ${maxAllowed - 1} suns and needs exactly 1 more. The not-equals constraint (×) at rows ${r1 + 1} and ${r2 + 1} will provide exactly 1 sun (one cell must be sun, one must be moon). Therefore, all other empty cells in column ${col + 1} must be moons. Filling row ${row + 1} with moon.`,
+            { type: 'modifier-balance-fill', line: lineInfo('column', col, size), symbol: 'sun', counts: { count: maxAllowed - 1, maxAllowed }, edges: [[r1, c1, r2, c2]] },
             grid.map((r, idx) => r[col] !== null ? [idx, col] : null).filter(x => x !== null).concat([[r1, c1], [r2, c2]]),
             [row, col],
             'moon'
@@ -821,26 +1081,20 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
 
     if (colMoons === maxAllowed - 1) {
       // Similar logic for moons
-      for (const [r1, c1, r2, c2] of constraints.notEquals) {
-        if (c1 !== col || c2 !== col) continue
-        if (r1 === r2) continue
-
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-
+      for (const [r1, c1, r2, c2] of findOpenNotEqualsPairs(grid, constraints, 'column', col)) {
         // The notEquals constraint guarantees exactly 1 moon and 1 sun between these two cells
         // Since we need exactly 1 more moon, this constraint will provide it
         // Therefore, all other empty cells in the column must be suns
         
         // Find empty cells in this column that are not part of the constraint
-        for (let row = 0; row < size; row++) {
+        for (let row = 0; row < rows; row++) {
           if (row === r1 || row === r2) continue // Skip constraint cells
           if (grid[row][col] !== null) continue // Skip filled cells
           
           grid[row][col] = 'sun'
-          return new SolvingStep(
+          return createStep(
             'Modifier Balance Rule',
-            `Column ${col + 1} has ${maxAllowed - 1} moons and needs exactly 1 more. The not-equals constraint (×) at rows ${r1 + 1} and ${r2 + 1} will provide exactly 1 moon (one cell must be moon, one must be sun). Therefore, all other empty cells in column ${col + 1} must be suns. Filling row ${row + 1} with sun.`,
+            { type: 'modifier-balance-fill', line: lineInfo('column', col, size), symbol: 'moon', counts: { count: maxAllowed - 1, maxAllowed }, edges: [[r1, c1, r2, c2]] },
             grid.map((r, idx) => r[col] !== null ? [idx, col] : null).filter(x => x !== null).concat([[r1, c1], [r2, c2]]),
             [row, col],
             'sun'
@@ -851,33 +1105,27 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
   }
 
   // Similar logic for rows
-  for (let row = 0; row < size; row++) {
+  for (let row = 0; row < rows; row++) {
     const rowValues = grid[row].filter(v => v !== null)
     const rowSuns = rowValues.filter(v => v === 'sun').length
     const rowMoons = rowValues.filter(v => v === 'moon').length
-    const maxAllowed = Math.floor(size / 2)
+    const maxAllowed = Math.floor(cols / 2)
 
     if (rowSuns === maxAllowed - 1) {
-      for (const [r1, c1, r2, c2] of constraints.notEquals) {
-        if (r1 !== row || r2 !== row) continue
-        if (c1 === c2) continue
-
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-
+      for (const [r1, c1, r2, c2] of findOpenNotEqualsPairs(grid, constraints, 'row', row)) {
         // The notEquals constraint guarantees exactly 1 sun and 1 moon between these two cells
         // Since we need exactly 1 more sun, this constraint will provide it
         // Therefore, all other empty cells in the row must be moons
         
         // Find empty cells in this row that are not part of the constraint
-        for (let col = 0; col < size; col++) {
+        for (let col = 0; col < cols; col++) {
           if (col === c1 || col === c2) continue // Skip constraint cells
           if (grid[row][col] !== null) continue // Skip filled cells
           
           grid[row][col] = 'moon'
-          return new SolvingStep(
+          return createStep(
             'Modifier Balance Rule',
-            `Row ${row + 1} has ${maxAllowed - 1} suns and needs exactly 1 more. The not-equals constraint (×) at columns ${c1 + 1} and ${c2 + 1} will provide exactly 1 sun (one cell must be sun, one must be moon). Therefore, all other empty cells in row ${row + 1} must be moons. Filling column ${col + 1} with moon.`,
+            { type: 'modifier-balance-fill', line: lineInfo('row', row, size), symbol: 'sun', counts: { count: maxAllowed - 1, maxAllowed }, edges: [[r1, c1, r2, c2]] },
             grid[row].map((val, idx) => val !== null ? [row, idx] : null).filter(x => x !== null).concat([[r1, c1], [r2, c2]]),
             [row, col],
             'moon'
@@ -887,26 +1135,20 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
     }
 
     if (rowMoons === maxAllowed - 1) {
-      for (const [r1, c1, r2, c2] of constraints.notEquals) {
-        if (r1 !== row || r2 !== row) continue
-        if (c1 === c2) continue
-
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-
+      for (const [r1, c1, r2, c2] of findOpenNotEqualsPairs(grid, constraints, 'row', row)) {
         // The notEquals constraint guarantees exactly 1 moon and 1 sun between these two cells
         // Since we need exactly 1 more moon, this constraint will provide it
         // Therefore, all other empty cells in the row must be suns
         
         // Find empty cells in this row that are not part of the constraint
-        for (let col = 0; col < size; col++) {
+        for (let col = 0; col < cols; col++) {
           if (col === c1 || col === c2) continue // Skip constraint cells
           if (grid[row][col] !== null) continue // Skip filled cells
           
           grid[row][col] = 'sun'
-          return new SolvingStep(
+          return createStep(
             'Modifier Balance Rule',
-            `Row ${row + 1} has ${maxAllowed - 1} moons and needs exactly 1 more. The not-equals constraint (×) at columns ${c1 + 1} and ${c2 + 1} will provide exactly 1 moon (one cell must be moon, one must be sun). Therefore, all other empty cells in row ${row + 1} must be suns. Filling column ${col + 1} with sun.`,
+            { type: 'modifier-balance-fill', line: lineInfo('row', row, size), symbol: 'moon', counts: { count: maxAllowed - 1, maxAllowed }, edges: [[r1, c1, r2, c2]] },
             grid[row].map((val, idx) => val !== null ? [row, idx] : null).filter(x => x !== null).concat([[r1, c1], [r2, c2]]),
             [row, col],
             'sun'
@@ -929,133 +1171,139 @@ function applyModifierWithTwoEqualsRule(grid, constraints, size) {
  * same column. The cells in that constraint must be suns to avoid 3 moons in a row.
  */
 function applyEndWithEqualsConstraintRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+
   // Check columns - vertical constraints only
-  for (let col = 0; col < size; col++) {
-    const top = grid[0][col]
-    const bottom = grid[size - 1][col]
+  if (rows <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let col = 0; col < cols; col++) {
+      const top = grid[0][col]
+      const bottom = grid[rows - 1][col]
+
+      // Check if top is known and there's a vertical equals constraint at the BOTTOM
+      if (top !== null) {
+        // Look for VERTICAL equals constraints at the bottom of this column
+        for (const [r1, c1, r2, c2] of constraints.equals) {
+          // Must be a vertical constraint (same column, different rows)
+          if (c1 !== col || c2 !== col || r1 === r2) continue
+          
+          // Constraint must be at the bottom (occupying the last 2 rows)
+          const minRow = Math.min(r1, r2)
+          const maxRow = Math.max(r1, r2)
+          if (minRow < rows - 2) continue // Not at the bottom - skip
+          
+          const val1 = grid[r1][c1]
+          const val2 = grid[r2][c2]
+          const opposite = top === 'sun' ? 'moon' : 'sun'
 
-    // Check if top is known and there's a vertical equals constraint at the BOTTOM
-    if (top !== null) {
-      // Look for VERTICAL equals constraints at the bottom of this column
-      for (const [r1, c1, r2, c2] of constraints.equals) {
-        // Must be a vertical constraint (same column, different rows)
-        if (c1 !== col || c2 !== col || r1 === r2) continue
-        
-        // Constraint must be at the bottom (at least one cell in last 2 rows)
-        const minRow = Math.min(r1, r2)
-        const maxRow = Math.max(r1, r2)
-        if (maxRow < size - 2) continue // Not at the bottom - skip
-        
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-        const opposite = top === 'sun' ? 'moon' : 'sun'
-
-        // If both constraint cells are empty, they must be opposite to top
-        if (val1 === null && val2 === null) {
-          grid[r1][c1] = opposite
-          return new SolvingStep(
-            'End with Equals Constraint Rule',
-            `Column ${col + 1} has ${top === 'sun' ? 'sun' : 'moon'} at the top (row 1). At the bottom of this column, the cells at rows ${r1 + 1} and ${r2 + 1} are connected by a vertical equals constraint (=), so they must be equal. To avoid three ${top === 'sun' ? 'suns' : 'moons'} in a row, these bottom cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling row ${r1 + 1}.`,
-            [[0, col]],
-            [r1, c1],
-            opposite
-          )
+          // If both constraint cells are empty, they must be opposite to top
+          if (val1 === null && val2 === null) {
+            grid[r1][c1] = opposite
+            return createStep(
+              'End with Equals Constraint Rule',
+              { type: 'end-with-equals-constraint', line: lineInfo('column', col, size), symbol: top, side: 'start', edges: [[r1, c1, r2, c2]] },
+              [[0, col]],
+              [r1, c1],
+              opposite
+            )
+          }
         }
       }
-    }
 
-    // Check if bottom is known and there's a vertical equals constraint at the TOP
-    if (bottom !== null) {
-      // Look for VERTICAL equals constraints at the top of this column
-      for (const [r1, c1, r2, c2] of constraints.equals) {
-        // Must be a vertical constraint (same column, different rows)
-        if (c1 !== col || c2 !== col || r1 === r2) continue
-        
-        // Constraint must be at the top (at least one cell in first 2 rows)
-        const minRow = Math.min(r1, r2)
-        const maxRow = Math.max(r1, r2)
-        if (minRow > 1) continue // Not at the top - skip
-        
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-        const opposite = bottom === 'sun' ? 'moon' : 'sun'
-
-        // If both constraint cells are empty, they must be opposite to bottom
-        if (val1 === null && val2 === null) {
-          grid[r1][c1] = opposite
-          return new SolvingStep(
-            'End with Equals Constraint Rule',
-            `Column ${col + 1} has ${bottom === 'sun' ? 'sun' : 'moon'} at the bottom (row ${size}). At the top of this column, the cells at rows ${r1 + 1} and ${r2 + 1} are connected by a vertical equals constraint (=), so they must be equal. To avoid three ${bottom === 'sun' ? 'suns' : 'moons'} in a row, these top cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling row ${r1 + 1}.`,
-            [[size - 1, col]],
-            [r1, c1],
-            opposite
-          )
+      // Check if bottom is known and there's a vertical equals constraint at the TOP
+      if (bottom !== null) {
+        // Look for VERTICAL equals constraints at the top of this column
+        for (const [r1, c1, r2, c2] of constraints.equals) {
+          // Must be a vertical constraint (same column, different rows)
+          if (c1 !== col || c2 !== col || r1 === r2) continue
+          
+          // Constraint must be at the top (occupying the first 2 rows)
+          const minRow = Math.min(r1, r2)
+          const maxRow = Math.max(r1, r2)
+          if (maxRow > 1) continue // Not at the top - skip
+          
+          const val1 = grid[r1][c1]
+          const val2 = grid[r2][c2]
+          const opposite = bottom === 'sun' ? 'moon' : 'sun'
+
+          // If both constraint cells are empty, they must be opposite to bottom
+          if (val1 === null && val2 === null) {
+            grid[r1][c1] = opposite
+            return createStep(
+              'End with Equals Constraint Rule',
+              { type: 'end-with-equals-constraint', line: lineInfo('column', col, size), symbol: bottom, side: 'end', edges: [[r1, c1, r2, c2]] },
+              [[rows - 1, col]],
+              [r1, c1],
+              opposite
+            )
+          }
         }
       }
     }
   }
 
   // Check rows - horizontal constraints only, at the OPPOSITE end
-  for (let row = 0; row < size; row++) {
-    const left = grid[row][0]
-    const right = grid[row][size - 1]
+  if (cols <= MAX_END_PATTERN_LINE_LENGTH) {
+    for (let row = 0; row < rows; row++) {
+      const left = grid[row][0]
+      const right = grid[row][cols - 1]
+
+      // Check if left is known and there's a horizontal equals constraint at the RIGHT
+      if (left !== null) {
+        // Look for HORIZONTAL equals constraints at the right of this row
+        for (const [r1, c1, r2, c2] of constraints.equals) {
+          // Must be a horizontal constraint (same row, different columns)
+          if (r1 !== row || r2 !== row || c1 === c2) continue
+          
+          // Constraint must be at the right (occupying the last 2 columns)
+          const minCol = Math.min(c1, c2)
+          const maxCol = Math.max(c1, c2)
+          if (minCol < cols - 2) continue // Not at the right
+          
+          const val1 = grid[r1][c1]
+          const val2 = grid[r2][c2]
+          const opposite = left === 'sun' ? 'moon' : 'sun'
 
-    // Check if left is known and there's a horizontal equals constraint at the RIGHT
-    if (left !== null) {
-      // Look for HORIZONTAL equals constraints at the right of this row
-      for (const [r1, c1, r2, c2] of constraints.equals) {
-        // Must be a horizontal constraint (same row, different columns)
-        if (r1 !== row || r2 !== row || c1 === c2) continue
-        
-        // Constraint must be at the right (at least one cell in last 2 columns)
-        const minCol = Math.min(c1, c2)
-        const maxCol = Math.max(c1, c2)
-        if (maxCol < size - 2) continue // Not at the right
-        
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-        const opposite = left === 'sun' ? 'moon' : 'sun'
-
-        // If both constraint cells are empty, they must be opposite to left
-        if (val1 === null && val2 === null) {
-          grid[r1][c1] = opposite
-          return new SolvingStep(
-            'End with Equals Constraint Rule',
-            `Row ${row + 1} has ${left === 'sun' ? 'sun' : 'moon'} at the left (column 1). At the right of this row, the cells at columns ${c1 + 1} and ${c2 + 1} are connected by a horizontal equals constraint (=), so they must be equal. To avoid three ${left === 'sun' ? 'suns' : 'moons'} in a row, these right cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling column ${c1 + 1}.`,
-            [[row, 0]],
-            [r1, c1],
-            opposite
-          )
+          // If both constraint cells are empty, they must be opposite to left
+          if (val1 === null && val2 === null) {
+            grid[r1][c1] = opposite
+            return createStep(
+              'End with Equals Constraint Rule',
+              { type: 'end-with-equals-constraint', line: lineInfo('row', row, size), symbol: left, side: 'start', edges: [[r1, c1, r2, c2]] },
+              [[row, 0]],
+              [r1, c1],
+              opposite
+            )
+          }
         }
       }
-    }
 
-    // Check if right is known and there's a horizontal equals constraint at the LEFT
-    if (right !== null) {
-      // Look for HORIZONTAL equals constraints at the left of this row
-      for (const [r1, c1, r2, c2] of constraints.equals) {
-        // Must be a horizontal constraint (same row, different columns)
-        if (r1 !== row || r2 !== row || c1 === c2) continue
-        
-        // Constraint must be at the left (at least one cell in first 2 columns)
-        const minCol = Math.min(c1, c2)
-        const maxCol = Math.max(c1, c2)
-        if (minCol > 1) continue // Not at the left
-        
-        const val1 = grid[r1][c1]
-        const val2 = grid[r2][c2]
-        const opposite = right === 'sun' ? 'moon' : 'sun'
-
-        // If both constraint cells are empty, they must be opposite to right
-        if (val1 === null && val2 === null) {
-          grid[r1][c1] = opposite
-          return new SolvingStep(
-            'End with Equals Constraint Rule',
-            `Row ${row + 1} has ${right === 'sun' ? 'sun' : 'moon'} at the right (column ${size}). At the left of this row, the cells at columns ${c1 + 1} and ${c2 + 1} are connected by a horizontal equals constraint (=), so they must be equal. To avoid three ${right === 'sun' ? 'suns' : 'moons'} in a row, these left cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling column ${c1 + 1}.`,
-            [[row, size - 1]],
-            [r1, c1],
-            opposite
-          )
+      // Check if right is known and there's a horizontal equals constraint at the LEFT
+      if (right !== null) {
+        // Look for HORIZONTAL equals constraints at the left of this row
+        for (const [r1, c1, r2, c2] of constraints.equals) {
+          // Must be a horizontal constraint (same row, different columns)
+          if (r1 !== row || r2 !== row || c1 === c2) continue
+          
+          // Constraint must be at the left (occupying the first 2 columns)
+          const minCol = Math.min(c1, c2)
+          const maxCol = Math.max(c1, c2)
+          if (maxCol > 1) continue // Not at the left
+          
+          const val1 = grid[r1][c1]
+          const val2 = grid[r2][c2]
+          const opposite = right === 'sun' ? 'moon' : 'sun'
+
+          // If both constraint cells are empty, they must be opposite to right
+          if (val1 === null && val2 === null) {
+            grid[r1][c1] = opposite
+            return createStep(
+              'End with Equals Constraint Rule',
+              { type: 'end-with-equals-constraint', line: lineInfo('row', row, size), symbol: right, side: 'end', edges: [[r1, c1, r2, c2]] },
+              [[row, cols - 1]],
+              [r1, c1],
+              opposite
+            )
+          }
         }
       }
     }
@@ -1073,9 +1321,10 @@ function applyEndWithEqualsConstraintRule(grid, constraints, size) {
  * directly below it (no gap). The constraint cells must be suns to avoid: moon + moon + moon = 3 moons.
  */
 function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
   // Check columns - vertical constraints
-  for (let col = 0; col < size; col++) {
-    for (let row = 0; row < size; row++) {
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) {
       const value = grid[row][col]
       if (value === null) continue
 
@@ -1100,9 +1349,9 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
           // If both constraint cells are empty, they must be opposite
           if (val1 === null && val2 === null) {
             grid[r1][c1] = opposite
-            return new SolvingStep(
+            return createStep(
               'Adjacent Equals Constraint Rule',
-              `Column ${col + 1} has ${value === 'sun' ? 'sun' : 'moon'} at row ${row + 1}. Directly below it, the cells at rows ${r1 + 1} and ${r2 + 1} are connected by a vertical equals constraint (=), so they must be equal. To avoid three ${value === 'sun' ? 'suns' : 'moons'} in a row, these cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling row ${r1 + 1}.`,
+              { type: 'adjacent-equals-constraint', line: lineInfo('column', col, size), symbol: value, direction: 'after', edges: [[r1, c1, r2, c2]] },
               [[row, col]],
               [r1, c1],
               opposite
@@ -1119,9 +1368,9 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
 
           if (val1 === null && val2 === null) {
             grid[r1][c1] = opposite
-            return new SolvingStep(
+            return createStep(
               'Adjacent Equals Constraint Rule',
-              `Column ${col + 1} has ${value === 'sun' ? 'sun' : 'moon'} at row ${row + 1}. Directly above it, the cells at rows ${r1 + 1} and ${r2 + 1} are connected by a vertical equals constraint (=), so they must be equal. To avoid three ${value === 'sun' ? 'suns' : 'moons'} in a row, these cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling row ${r1 + 1}.`,
+              { type: 'adjacent-equals-constraint', line: lineInfo('column', col, size), symbol: value, direction: 'before', edges: [[r1, c1, r2, c2]] },
               [[row, col]],
               [r1, c1],
               opposite
@@ -1133,8 +1382,8 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
   }
 
   // Check rows - horizontal constraints
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size; col++) {
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
       const value = grid[row][col]
       if (value === null) continue
 
@@ -1158,9 +1407,9 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
 
           if (val1 === null && val2 === null) {
             grid[r1][c1] = opposite
-            return new SolvingStep(
+            return createStep(
               'Adjacent Equals Constraint Rule',
-              `Row ${row + 1} has ${value === 'sun' ? 'sun' : 'moon'} at column ${col + 1}. Directly to the right, the cells at columns ${c1 + 1} and ${c2 + 1} are connected by a horizontal equals constraint (=), so they must be equal. To avoid three ${value === 'sun' ? 'suns' : 'moons'} in a row, these cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling column ${c1 + 1}.`,
+              { type: 'adjacent-equals-constraint', line: lineInfo('row', row, size), symbol: value, direction: 'after', edges: [[r1, c1, r2, c2]] },
               [[row, col]],
               [r1, c1],
               opposite
@@ -1177,9 +1426,9 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
 
           if (val1 === null && val2 === null) {
             grid[r1][c1] = opposite
-            return new SolvingStep(
+            return createStep(
               'Adjacent Equals Constraint Rule',
-              `Row ${row + 1} has ${value === 'sun' ? 'sun' : 'moon'} at column ${col + 1}. Directly to the left, the cells at columns ${c1 + 1} and ${c2 + 1} are connected by a horizontal equals constraint (=), so they must be equal. To avoid three ${value === 'sun' ? 'suns' : 'moons'} in a row, these cells must be ${opposite === 'sun' ? 'suns' : 'moons'}. Filling column ${c1 + 1}.`,
+              { type: 'adjacent-equals-constraint', line: lineInfo('row', row, size), symbol: value, direction: 'before', edges: [[r1, c1, r2, c2]] },
               [[row, col]],
               [r1, c1],
               opposite
@@ -1193,12 +1442,434 @@ function applyAdjacentEqualsConstraintRule(grid, constraints, size) {
   return null
 }
 
+/**
+ * Rule 11: Line enumeration
+ * List every valid way to complete a single row or column, respecting the
+ * balance rule, the no-three rule and the equals/notEquals constraints that lie
+ * inside that line. A cell that takes the same value in every completion must
+ * hold that value. This covers the end and edge patterns of the earlier rules
+ * as well as the many line patterns they do not name.
+ */
+function applyLineEnumerationRule(grid, constraints, size, context) {
+  const { ruleset } = context
+  const lines = getLines(size)
+
+  for (const { lineType, index, cells } of lines) {
+    const values = cells.map(([r, c]) => grid[r][c])
+    if (!values.includes(null)) continue
+
+    const links = getLineLinks(constraints, lineType, index)
+    const result = findForcedLineValues(values, links, ruleset, getTakenLines(grid, lines, lineType, ruleset))
+
+    // No completion means the grid is already contradictory - leave that to the search
+    if (!result) continue
+
+    for (let position = 0; position < cells.length; position++) {
+      const value = result.forced[position]
+      if (value === null) continue
+
+      const [row, col] = cells[position]
+      grid[row][col] = value
+      return createStep(
+        'Line Enumeration Rule',
+        { type: 'line-enumeration', line: lineInfo(lineType, index, size), counts: { completions: result.completions }, ruleset },
+        cells.filter((_, i) => values[i] !== null),
+        [row, col],
+        value
+      )
+    }
+  }
+
+  return null
+}
+
+/**
+ * List every row and column of the grid with its cells in order:
+ * [{ lineType: 'row' | 'column', index, cells: [[row, col], ...] }]
+ */
+function getLines(size) {
+  const { rows, cols } = getDimensions(size)
+  const lines = []
+
+  for (let row = 0; row < rows; row++) {
+    lines.push({ lineType: 'row', index: row, cells: Array.from({ length: cols }, (_, col) => [row, col]) })
+  }
+  for (let col = 0; col < cols; col++) {
+    lines.push({ lineType: 'column', index: col, cells: Array.from({ length: rows }, (_, row) => [row, col]) })
+  }
+
+  return lines
+}
+
+/**
+ * Get the values of the complete lines of one type that no other line of that
+ * type may repeat. Empty unless the ruleset asks for unique lines.
+ */
+function getTakenLines(grid, lines, lineType, ruleset) {
+  if (!ruleset.uniqueLines) return []
+
+  return lines
+    .filter(line => line.lineType === lineType)
+    .map(({ cells }) => cells.map(([r, c]) => grid[r][c]))
+    .filter(values => !values.includes(null))
+}
+
+/**
+ * Get the equals/notEquals constraints lying inside a single row or column,
+ * as positions along that line: [{ positions: [i, j], equal: boolean }]
+ */
+function getLineLinks(constraints, lineType, index) {
+  const links = []
+  const addLinks = (list, equal) => {
+    for (const [r1, c1, r2, c2] of list) {
+      if (lineType === 'row' && r1 === index && r2 === index) {
+        links.push({ positions: [c1, c2], equal })
+      } else if (lineType === 'column' && c1 === index && c2 === index) {
+        links.push({ positions: [r1, r2], equal })
+      }
+    }
+  }
+
+  addLinks(constraints.equals, true)
+  addLinks(constraints.notEquals, false)
+  return links
+}
+
+/**
+ * Find the empty cells of a line that take the same value in every valid
+ * completion of it, respecting the balance rule, the run length and the
+ * constraints inside the line. Rather than listing the completions, which
+ * grow quickly on long lines, it counts them: for each cell, how many
+ * completions put a sun there and how many a moon.
+ * @param {Array<string|null>} values - Current values along the line
+ * @param {Array<Object>} links - Constraints inside the line (see getLineLinks)
+ * @param {Object} ruleset - Complete ruleset
+ * @param {Array<Array<string>>} takenLines - Complete lines the completion may not repeat
+ * @returns {Object|null} - { forced: value or null per position, completions: number
+ *   of valid completions }, or null if the line cannot be completed
+ */
+function findForcedLineValues(values, links, ruleset, takenLines = []) {
+  const cacheKey = JSON.stringify([values, links, ruleset.maxRunLength, ruleset.balanced, takenLines])
+  if (!forcedLineCache.has(cacheKey)) {
+    if (forcedLineCache.size >= FORCED_LINE_CACHE_SIZE) forcedLineCache.clear()
+    forcedLineCache.set(cacheKey, countLineCompletions(values, links, ruleset, takenLines))
+  }
+  return forcedLineCache.get(cacheKey)
+}
+
+// Lines change one cell at a time while solving, and proof by contradiction looks at
+// the same lines over and over, so results are kept for lines seen recently
+const FORCED_LINE_CACHE_SIZE = 5000
+const forcedLineCache = new Map()
+
+/**
+ * Do the work of findForcedLineValues
+ */
+function countLineCompletions(values, links, ruleset, takenLines) {
+  const { maxRunLength, balanced } = ruleset
+  const length = values.length
+  const maxAllowed = balanced ? Math.floor(length / 2) : length
+
+  // A partial line is summed up by the suns placed, its last value and the length of
+  // the run that value ends. Constraints join neighbouring cells, so that is all the
+  // rest of the line depends on.
+  const place = (state, position, value) => {
+    if (values[position] !== null && values[position] !== value) return null
+
+    const suns = state.suns + (value === 'sun' ? 1 : 0)
+    const run = state.last === value ? state.run + 1 : 1
+    if (suns > maxAllowed || position + 1 - suns > maxAllowed || run > maxRunLength) return null
+
+    const breaksLink = links.some(({ positions: [i, j], equal }) =>
+      Math.max(i, j) === position && Math.min(i, j) === position - 1 && (state.last === value) !== equal
+    )
+    return breaksLink ? null : { suns, last: value, run }
+  }
+  const keyOf = (position, state) => `${position},${state.suns},${state.last},${state.run}`
+
+  // Number of ways to complete the line from a partial line
+  const ways = new Map()
+  const countWays = (position, state) => {
+    if (position === length) return 1
+    const key = keyOf(position, state)
+    if (!ways.has(key)) {
+      let total = 0
+      for (const value of ['sun', 'moon']) {
+        const next = place(state, position, value)
+        if (next) total += countWays(position + 1, next)
+      }
+      ways.set(key, total)
+    }
+    return ways.get(key)
+  }
+
+  // Walk the line forwards, counting the completions that put each value in each cell
+  const byValue = values.map(() => ({ sun: 0, moon: 0 }))
+  let partials = new Map([[keyOf(0, { suns: 0, last: null, run: 0 }), { state: { suns: 0, last: null, run: 0 }, count: 1 }]])
+  for (let position = 0; position < length; position++) {
+    const nextPartials = new Map()
+    for (const { state, count } of partials.values()) {
+      for (const value of ['sun', 'moon']) {
+        const next = place(state, position, value)
+        if (!next) continue
+
+        byValue[position][value] += count * countWays(position + 1, next)
+        const key = keyOf(position + 1, next)
+        const existing = nextPartials.get(key)
+        nextPartials.set(key, { state: next, count: (existing ? existing.count : 0) + count })
+      }
+    }
+    partials = nextPartials
+  }
+
+  // Complete lines that may not be repeated are not completions
+  const completesLine = (line) => {
+    let state = { suns: 0, last: null, run: 0 }
+    return line.every((value, position) => (state = place(state, position, value)) !== null)
+  }
+  for (const taken of new Set(takenLines.map(line => line.join(',')))) {
+    const line = taken.split(',')
+    if (!completesLine(line)) continue
+    line.forEach((value, position) => { byValue[position][value]-- })
+  }
+
+  const completions = byValue.length > 0 ? byValue[0].sun + byValue[0].moon : 0
+  if (completions === 0) return null
+
+  return {
+    forced: values.map((value, position) => {
+      if (value !== null) return null
+      const { sun, moon } = byValue[position]
+      return sun === 0 ? 'moon' : moon === 0 ? 'sun' : null
+    }),
+    completions
+  }
+}
+
+/**
+ * Count the empty cells whose value can be read off directly: cells fixed in
+ * every completion of their row or column (which covers the single-line rules),
+ * and cells linked by a chain of constraints to a known cell.
+ * Used to tell how many deductions are available at a given point.
+ * @returns {number} - Number of empty cells that can be deduced right away
+ */
+export function countAvailableDeductions(grid, constraints, size, ruleset) {
+  const resolvedRuleset = resolveRuleset(ruleset)
+  const forcedCells = new Set()
+  const lines = getLines(size)
+
+  for (const { lineType, index, cells } of lines) {
+    const values = cells.map(([r, c]) => grid[r][c])
+    if (!values.includes(null)) continue
+
+    const result = findForcedLineValues(
+      values,
+      getLineLinks(constraints, lineType, index),
+      resolvedRuleset,
+      getTakenLines(grid, lines, lineType, resolvedRuleset)
+    )
+    if (!result) continue
+
+    cells.forEach(([r, c], position) => {
+      if (result.forced[position] !== null) {
+        forcedCells.add(`${r},${c}`)
+      }
+    })
+  }
+
+  const { rows, cols } = getDimensions(size)
+  const graph = buildConstraintGraph(constraints)
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[row][col] === null) continue
+
+      for (const { cell: [r, c] } of graph.getGroup([row, col])) {
+        if (grid[r][c] === null) forcedCells.add(`${r},${c}`)
+      }
+    }
+  }
+
+  return forcedCells.size
+}
+
+/**
+ * Rule 12: Constraint chain rule
+ * Cells joined by a chain of equals/notEquals constraints are the same when the
+ * chain has an even number of × and opposite when it has an odd number. Once one
+ * cell of a chain is known, every empty cell of the chain is filled in one step.
+ */
+function applyConstraintChainRule(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+  const graph = buildConstraintGraph(constraints)
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const value = grid[row][col]
+      if (value === null) continue
+
+      const group = graph.getGroup([row, col])
+      const emptyCells = group.filter(({ cell: [r, c] }) => grid[r][c] === null)
+
+      // A single empty neighbour is left to plain constraint propagation
+      if (emptyCells.length < 2) continue
+
+      const opposite = value === 'sun' ? 'moon' : 'sun'
+      const resultCells = emptyCells.map(({ cell: [r, c], opposite: isOpposite }) =>
+        [r, c, isOpposite ? opposite : value]
+      )
+      for (const [r, c, cellValue] of resultCells) {
+        grid[r][c] = cellValue
+      }
+
+      const knownCells = group
+        .filter(({ cell: [r, c] }) => !resultCells.some(([rr, cc]) => rr === r && cc === c))
+        .map(({ cell }) => cell)
+      const isInGroup = (r, c) => group.some(({ cell }) => cell[0] === r && cell[1] === c)
+      const chainEdges = [...constraints.equals, ...constraints.notEquals]
+        .filter(([r1, c1, r2, c2]) => isInGroup(r1, c1) && isInGroup(r2, c2))
+
+      const step = createStep(
+        'Constraint Chain Rule',
+        {
+          type: 'constraint-chain',
+          cells: [[row, col], ...knownCells.filter(([r, c]) => r !== row || c !== col)],
+          symbol: value,
+          results: resultCells,
+          edges: chainEdges
+        },
+        knownCells,
+        [resultCells[0][0], resultCells[0][1]],
+        resultCells[0][2]
+      )
+      step.resultCells = resultCells
+      return step
+    }
+  }
+
+  return null
+}
+
+// Longest chain of forward steps followed from an assumption. Longer chains are
+// hard to follow, and following them for every cell stalls large boards.
+const MAX_CONTRADICTION_CHAIN = 8
+
+/**
+ * Empty cells worth assuming a value for: those next to a filled cell or joined
+ * by a constraint. An assumption elsewhere rarely leads anywhere, and skipping
+ * those cells keeps the rule fast on large, mostly empty boards.
+ */
+function getContradictionCandidates(grid, constraints, size) {
+  const { rows, cols } = getDimensions(size)
+  const candidates = new Set()
+  const addIfEmpty = (row, col) => {
+    if (row >= 0 && row < rows && col >= 0 && col < cols && grid[row][col] === null) {
+      candidates.add(row * cols + col)
+    }
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[row][col] === null) continue
+      addIfEmpty(row - 1, col)
+      addIfEmpty(row + 1, col)
+      addIfEmpty(row, col - 1)
+      addIfEmpty(row, col + 1)
+    }
+  }
+  for (const [r1, c1, r2, c2] of [...constraints.equals, ...constraints.notEquals]) {
+    addIfEmpty(r1, c1)
+    addIfEmpty(r2, c2)
+  }
+
+  return [...candidates].sort((a, b) => a - b).map(index => [Math.floor(index / cols), index % cols])
+}
+
+/**
+ * Rule 13: Proof by contradiction
+ * Assume a value for an empty cell and keep applying the deterministic rules.
+ * If that reaches a grid that breaks the rules, the assumption was wrong and
+ * the cell must hold the opposite value. The shortest chain found is used,
+ * as it is the easiest one to follow. Only cells next to filled cells or
+ * constraints are tried, and chains stop after MAX_CONTRADICTION_CHAIN steps.
+ */
+function applyContradictionRule(grid, constraints, size, context) {
+  const forwardRules = context.rules.filter(rule => !rule.lookahead)
+  let best = null
+
+  for (const [row, col] of getContradictionCandidates(grid, constraints, size)) {
+    for (const value of ['sun', 'moon']) {
+      const hypothetical = grid.map(r => r.slice())
+      hypothetical[row][col] = value
+
+      const chain = []
+      const maxLength = best ? best.chain.length - 1 : MAX_CONTRADICTION_CHAIN
+      let contradiction = findViolation(hypothetical, constraints, size, context.ruleset)
+      while (!contradiction && chain.length < maxLength) {
+        const step = applyAllRules(hypothetical, constraints, size, forwardRules, context.ruleset)
+        if (!step) break
+        chain.push(step)
+        contradiction = findViolation(hypothetical, constraints, size, context.ruleset)
+      }
+
+      if (contradiction && (!best || chain.length < best.chain.length)) {
+        best = { cell: [row, col], value, chain, contradiction }
+      }
+    }
+  }
+
+  if (!best) return null
+
+  const [row, col] = best.cell
+  const opposite = best.value === 'sun' ? 'moon' : 'sun'
+  grid[row][col] = opposite
+
+  const { description, ...violation } = best.contradiction
+  const hypothesis = {
+    cell: best.cell,
+    value: best.value,
+    chain: best.chain.map(step => ({
+      ruleId: step.ruleId,
+      ruleName: step.ruleName,
+      type: step.reason ? step.reason.type : null,
+      results: step.resultCells
+    })),
+    violation
+  }
+
+  const step = createStep(
+    'Proof by Contradiction',
+    { type: 'proof-by-contradiction', hypothesis },
+    uniqueCells([
+      ...best.chain.flatMap(step => step.resultCells.map(([r, c]) => [r, c])),
+      ...best.contradiction.cells
+    ]).filter(([r, c]) => r !== row || c !== col),
+    [row, col],
+    opposite
+  )
+  step.hypothesis = best
+  return step
+}
+
+/**
+ * Remove duplicate [row, col] pairs, keeping the first occurrence
+ */
+function uniqueCells(cells) {
+  const seen = new Set()
+  return cells.filter(([row, col]) => {
+    const key = `${row},${col}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
 /**
  * Check if the grid is complete
  */
 function isComplete(grid, size) {
-  for (let row = 0; row < size; row++) {
-    for (let col = 0; col < size; col++) {
+  const { rows, cols } = getDimensions(size)
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
       if (grid[row][col] === null) {
         return false
       }
@@ -1207,20 +1878,26 @@ function isComplete(grid, size) {
   return true
 }
 
+/**
+ * Check if the grid is complete and breaks no rule
+ */
+function isSolved(grid, constraints, size, ruleset) {
+  return isComplete(grid, size) && isValidPartialSolution(grid, constraints, size, ruleset)
+}
+
 /**
  * Legacy function for backward compatibility - solves all at once
  */
-export function solvePuzzle(grid, constraints, size) {
-  const steps = solvePuzzleStepByStep(grid, constraints, size)
-  const gridCopy = grid.map(row => row.slice())
-  
-  // Apply all steps
-  for (const step of steps) {
-    gridCopy[step.resultCell[0]][step.resultCell[1]] = step.resultValue
-  }
+export function solvePuzzle(grid, constraints, size, options = {}) {
+  const steps = solvePuzzleStepByStep(grid, constraints, size, options)
+
+  // Backtrack steps can undo earlier ones, so use the recorded final state
+  const gridCopy = steps.length > 0
+    ? steps[steps.length - 1].gridStateAfter.map(row => row.slice())
+    : grid.map(row => row.slice())
   
   // Check if complete
-  if (isComplete(gridCopy, size)) {
+  if (isSolved(gridCopy, constraints, size, options.ruleset)) {
     return gridCopy
   }
   
@@ -1228,51 +1905,208 @@ export function solvePuzzle(grid, constraints, size) {
 }
 
 /**
- * Helper function to check if a partial solution is still valid
+ * Count the solutions of a puzzle, stopping once `limit` solutions are found.
+ * Used to check that a puzzle has exactly one answer before publishing it.
+ * @param {Array<Array<string|null>>} grid - Starting grid state
+ * @param {Object} constraints - Constraints object
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {number} limit - Stop searching after this many solutions (default 2)
+ * @param {Object} ruleset - Ruleset the solutions follow (see ruleset.js), Tango by default
+ * @returns {Object} { count: number|string, solutions: Array<grid> } - count is
+ *   the number of solutions, or e.g. '2+' when the limit was reached
  */
-export function isValidPartialSolution(grid, constraints, size) {
-  const maxAllowed = Math.floor(size / 2)
+export function countSolutions(grid, constraints, size, limit = 2, ruleset) {
+  const resolvedRuleset = resolveRuleset(ruleset)
+  const solutions = []
 
-  // Check rows
-  for (let row = 0; row < size; row++) {
-    const rowValues = grid[row].filter(v => v !== null)
-    const sunsInRow = rowValues.filter(v => v === 'sun').length
-    const moonsInRow = rowValues.filter(v => v === 'moon').length
+  if (isValidPartialSolution(grid, constraints, size, resolvedRuleset)) {
+    const links = buildConstraintLinks(constraints)
+    searchSolutions(grid.map(row => row.slice()), links, size, resolvedRuleset, limit, solutions)
+  }
+
+  return {
+    count: solutions.length >= limit ? `${limit}+` : solutions.length,
+    solutions
+  }
+}
+
+/**
+ * Index constraints by cell: "row,col" -> [{ cell: [row, col], equal: boolean }]
+ */
+function buildConstraintLinks(constraints) {
+  const links = new Map()
+  const addLink = (r1, c1, r2, c2, equal) => {
+    const key = `${r1},${c1}`
+    if (!links.has(key)) links.set(key, [])
+    links.get(key).push({ cell: [r2, c2], equal })
+  }
+
+  for (const [r1, c1, r2, c2] of constraints.equals) {
+    addLink(r1, c1, r2, c2, true)
+    addLink(r2, c2, r1, c1, true)
+  }
+  for (const [r1, c1, r2, c2] of constraints.notEquals) {
+    addLink(r1, c1, r2, c2, false)
+    addLink(r2, c2, r1, c1, false)
+  }
+
+  return links
+}
+
+/**
+ * Depth-first search for solutions. Cells with only one possible value are
+ * filled before branching, and the search stops once `limit` solutions are found.
+ */
+function searchSolutions(grid, links, size, ruleset, limit, solutions) {
+  const { rows, cols } = getDimensions(size)
+  // Fill every cell that has only one possible value
+  let branchCell = null
+  let filledCell = true
+  while (filledCell) {
+    filledCell = false
+    branchCell = null
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (grid[row][col] !== null) continue
+
+        const options = ['sun', 'moon'].filter(value => canPlaceValue(grid, links, row, col, value, ruleset))
+        if (options.length === 0) return
+        if (options.length === 1) {
+          grid[row][col] = options[0]
+          filledCell = true
+        } else if (!branchCell) {
+          branchCell = [row, col]
+        }
+      }
+    }
+  }
+
+  if (!branchCell) {
+    solutions.push(grid)
+    return
+  }
+
+  const [row, col] = branchCell
+  for (const value of ['sun', 'moon']) {
+    if (solutions.length >= limit) return
+    const nextGrid = grid.map(r => r.slice())
+    nextGrid[row][col] = value
+    searchSolutions(nextGrid, links, size, ruleset, limit, solutions)
+  }
+}
+
+/**
+ * Check whether a value can be placed in an empty cell without breaking
+ * the balance, run length, unique lines or constraint rules
+ */
+function canPlaceValue(grid, links, row, col, value, ruleset) {
+  const { maxRunLength, balanced, uniqueLines } = ruleset
+  const rowLine = grid[row].slice()
+  const colLine = grid.map(r => r[col])
+  rowLine[col] = value
+  colLine[row] = value
+
+  if (balanced &&
+      (rowLine.filter(v => v === value).length > Math.floor(rowLine.length / 2) ||
+       colLine.filter(v => v === value).length > Math.floor(colLine.length / 2))) {
+    return false
+  }
 
-    if (sunsInRow > maxAllowed || moonsInRow > maxAllowed) {
+  // Check the run of identical symbols through this cell
+  for (const [line, index] of [[rowLine, col], [colLine, row]]) {
+    let start = index
+    let end = index
+    while (start > 0 && line[start - 1] === value) start--
+    while (end < line.length - 1 && line[end + 1] === value) end++
+    if (end - start + 1 > maxRunLength) {
       return false
     }
+  }
 
-    // Check consecutive
-    for (let col = 0; col < size - 2; col++) {
-      const val1 = grid[row][col]
-      const val2 = grid[row][col + 1]
-      const val3 = grid[row][col + 2]
-      
-      if (val1 !== null && val1 === val2 && val2 === val3) {
+  // A line this value completes may not repeat another complete line
+  if (uniqueLines) {
+    const otherRows = grid.filter((_, r) => r !== row)
+    const otherCols = grid[0].map((_, c) => grid.map(r => r[c])).filter((_, c) => c !== col)
+    for (const [line, others] of [[rowLine, otherRows], [colLine, otherCols]]) {
+      if (!line.includes(null) && others.some(other => other.every((v, i) => v === line[i]))) {
         return false
       }
     }
   }
 
-  // Check columns
-  for (let col = 0; col < size; col++) {
-    const colValues = grid.map(r => r[col]).filter(v => v !== null)
-    const sunsInCol = colValues.filter(v => v === 'sun').length
-    const moonsInCol = colValues.filter(v => v === 'moon').length
-
-    if (sunsInCol > maxAllowed || moonsInCol > maxAllowed) {
+  for (const { cell: [r, c], equal } of links.get(`${row},${col}`) || []) {
+    const other = grid[r][c]
+    if (other !== null && (other === value) !== equal) {
       return false
     }
+  }
 
-    // Check consecutive
-    for (let row = 0; row < size - 2; row++) {
-      const val1 = grid[row][col]
-      const val2 = grid[row + 1][col]
-      const val3 = grid[row + 2][col]
-      
-      if (val1 !== null && val1 === val2 && val2 === val3) {
-        return false
+  return true
+}
+
+/**
+ * Helper function to check if a partial solution is still valid
+ * @param {Array<Array<string|null>>} grid - Grid state
+ * @param {Object} constraints - Constraints object
+ * @param {number|Object} size - Grid size: a number for square grids, or { rows, cols }
+ * @param {Object} ruleset - Ruleset to check against (see ruleset.js), Tango by default
+ * @returns {boolean}
+ */
+export function isValidPartialSolution(grid, constraints, size, ruleset) {
+  return findStructuredViolation(grid, constraints, size, resolveRuleset(ruleset)) === null
+}
+
+/**
+ * Find the first rule broken by a partial solution
+ * @returns {Object|null} - { code, cells, description, ... } (see formatViolation)
+ *   or null if nothing is broken
+ */
+function findViolation(grid, constraints, size, ruleset) {
+  const violation = findStructuredViolation(grid, constraints, size, resolveRuleset(ruleset))
+  return violation && { ...violation, description: formatViolation(violation) }
+}
+
+/**
+ * Same as findViolation without the description, for callers that only need
+ * to know whether something is broken
+ */
+function findStructuredViolation(grid, constraints, size, ruleset) {
+  const { rows, cols } = getDimensions(size)
+
+  // Check rows
+  for (let row = 0; row < rows; row++) {
+    const violation = findLineViolation(grid[row], lineInfo('row', row, size), ruleset)
+    if (violation) {
+      const { positions, ...rest } = violation
+      return { ...rest, cells: positions.map(col => [row, col]), edges: [] }
+    }
+  }
+
+  // Check columns
+  for (let col = 0; col < cols; col++) {
+    const violation = findLineViolation(grid.map(r => r[col]), lineInfo('column', col, size), ruleset)
+    if (violation) {
+      const { positions, ...rest } = violation
+      return { ...rest, cells: positions.map(row => [row, col]), edges: [] }
+    }
+  }
+
+  // Check that no two complete rows, or two complete columns, are identical
+  if (ruleset.uniqueLines) {
+    const lines = getLines(size).filter(({ cells }) => cells.every(([r, c]) => grid[r][c] !== null))
+    for (let i = 0; i < lines.length; i++) {
+      for (let j = i + 1; j < lines.length; j++) {
+        const [first, second] = [lines[i], lines[j]]
+        if (first.lineType === second.lineType &&
+            first.cells.every(([r, c], position) => grid[r][c] === grid[second.cells[position][0]][second.cells[position][1]])) {
+          return {
+            code: 'duplicate-line',
+            lines: [lineInfo(first.lineType, first.index, size), lineInfo(second.lineType, second.index, size)],
+            cells: [...first.cells, ...second.cells],
+            edges: []
+          }
+        }
       }
     }
   }
@@ -1282,7 +2116,7 @@ export function isValidPartialSolution(grid, constraints, size) {
     const val1 = grid[r1][c1]
     const val2 = grid[r2][c2]
     if (val1 !== null && val2 !== null && val1 !== val2) {
-      return false
+      return { code: 'equals-violated', cells: [[r1, c1], [r2, c2]], values: [val1, val2], edges: [[r1, c1, r2, c2]] }
     }
   }
 
@@ -1290,9 +2124,50 @@ export function isValidPartialSolution(grid, constraints, size) {
     const val1 = grid[r1][c1]
     const val2 = grid[r2][c2]
     if (val1 !== null && val2 !== null && val1 === val2) {
-      return false
+      return { code: 'not-equals-violated', cells: [[r1, c1], [r2, c2]], values: [val1, val2], edges: [[r1, c1, r2, c2]] }
     }
   }
 
-  return true
+  return null
+}
+
+/**
+ * Find the first balance or run length rule broken within a single line
+ * @returns {Object|null} - { code, line, symbol, counts?, positions: [index along the line, ...] }
+ */
+function findLineViolation(values, line, ruleset) {
+  const { maxRunLength, balanced } = ruleset
+
+  if (balanced) {
+    const maxAllowed = Math.floor(values.length / 2)
+    for (const symbol of ['sun', 'moon']) {
+      const count = values.filter(v => v === symbol).length
+      if (count > maxAllowed) {
+        return {
+          code: 'too-many-symbols',
+          line,
+          symbol,
+          counts: { count, maxAllowed },
+          positions: values.map((v, i) => v === symbol ? i : null).filter(i => i !== null)
+        }
+      }
+    }
+  }
+
+  // Check consecutive
+  let runStart = 0
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] !== values[runStart]) {
+      runStart = i
+    } else if (values[i] !== null && i - runStart === maxRunLength) {
+      return {
+        code: 'three-in-a-row',
+        line,
+        symbol: values[i],
+        positions: Array.from({ length: maxRunLength + 1 }, (_, k) => runStart + k)
+      }
+    }
+  }
+
+  return null
 }
@@ -0,0 +1,175 @@
+/**
+ * SOLVE TRACE EXPORT
+ *
+ * Writes out the steps of a solve together with the puzzle they start from:
+ * as JSON for other tools, and as a Markdown walkthrough with an ASCII board
+ * after every step for reading.
+ *
+ * The JSON trace is an object:
+ * {
+ *   format: 'tango-solve-trace',
+ *   version: 1,
+ *   locale: 'en',                       // Language of the rule names and explanations
+ *   puzzle: { size: { rows, cols }, ruleset, grid, constraints },
+ *   steps: [{
+ *     number, ruleId, ruleName, stepType, explanation,
+ *     reason,                           // Structured reason (see explanations.js)
+ *     affectedCells: [[row, col], ...],
+ *     resultCells: [[row, col, value], ...],
+ *     gridBefore, gridAfter
+ *   }, ...]
+ * }
+ */
+
+import { getDimensions } from './gameLogic'
+import { resolveRuleset } from './ruleset'
+import { formatStepName, formatStepExplanation } from './explanations'
+import { translate, DEFAULT_LOCALE } from '../i18n'
+
+export const TRACE_FORMAT = 'tango-solve-trace'
+export const TRACE_VERSION = 1
+
+const SYMBOL_LETTERS = { sun: 'S', moon: 'M' }
+
+/**
+ * Collect a solve into a plain object (see above)
+ * @param {Object} puzzle - { grid, constraints, size, ruleset } the solve started from
+ * @param {Array<SolvingStep>} steps - Steps of the solve, in order
+ * @param {string} locale - Language of the rule names and explanations
+ * @returns {Object}
+ */
+export function buildTrace(puzzle, steps, locale = DEFAULT_LOCALE) {
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    locale,
+    puzzle: {
+      size: getDimensions(puzzle.size),
+      ruleset: resolveRuleset(puzzle.ruleset),
+      grid: puzzle.grid,
+      constraints: puzzle.constraints
+    },
+    steps: steps.map((step, index) => ({
+      number: index + 1,
+      ruleId: step.ruleId,
+      ruleName: formatStepName(step, locale),
+      stepType: step.stepType,
+      explanation: formatStepExplanation(step, locale),
+      reason: step.reason,
+      affectedCells: step.affectedCells,
+      resultCells: step.resultCells,
+      gridBefore: step.gridStateBefore,
+      gridAfter: step.gridStateAfter
+    }))
+  }
+}
+
+/**
+ * Export a solve as JSON
+ * @param {Object} puzzle - { grid, constraints, size, ruleset } the solve started from
+ * @param {Array<SolvingStep>} steps - Steps of the solve, in order
+ * @param {string} locale - Language of the rule names and explanations
+ * @returns {string}
+ */
+export function exportTraceJSON(puzzle, steps, locale = DEFAULT_LOCALE) {
+  return JSON.stringify(buildTrace(puzzle, steps, locale), null, 2)
+}
+
+/**
+ * Export a solve as a Markdown walkthrough: the rules and starting board,
+ * then one section per step with its explanation and the board after it
+ * @param {Object} puzzle - { grid, constraints, size, ruleset } the solve started from
+ * @param {Array<SolvingStep>} steps - Steps of the solve, in order
+ * @param {string} locale - Language of the walkthrough
+ * @returns {string}
+ */
+export function exportTraceMarkdown(puzzle, steps, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params)
+  const { rows, cols } = getDimensions(puzzle.size)
+  const ruleset = resolveRuleset(puzzle.ruleset)
+  const board = (grid, marked) => ['```', renderBoard(grid, puzzle.constraints, marked), '```']
+
+  const lines = [
+    `# ${t('export.title')}`,
+    '',
+    t('export.summary', { rows, cols, count: steps.length }),
+    '',
+    `## ${t('export.rules')}`,
+    '',
+    ruleset.balanced && `- ${t('instructions.balanced')}`,
+    `- ${t('instructions.max-run', { count: ruleset.maxRunLength === 2 ? t('number.two') : ruleset.maxRunLength })}`,
+    ruleset.uniqueLines && `- ${t('instructions.unique-lines')}`,
+    '',
+    `## ${t('export.start')}`,
+    '',
+    ...board(puzzle.grid, []),
+    '',
+    t('export.legend')
+  ].filter(line => line !== false)
+
+  steps.forEach((step, index) => {
+    const filled = step.resultCells
+      .map(([r, c, value]) => `${t('cell', { row: r + 1, col: c + 1 })} → ${t(`symbol.${value}`)}`)
+      .join(', ')
+
+    lines.push(
+      '',
+      `## ${t('steps.number', { number: index + 1 })}: ${formatStepName(step, locale)}`,
+      '',
+      formatStepExplanation(step, locale),
+      '',
+      `${t('steps.cells', { count: step.resultCells.length })}: ${filled}`,
+      '',
+      ...board(step.gridStateAfter, step.resultCells)
+    )
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Draw a grid as text. Cells are S (sun), M (moon) or . (empty), with the
+ * marked cells in brackets; constraints sit between the cells they join:
+ *
+ *       1   2   3
+ *   1   S = .   M
+ *           x
+ *   2   .  [M]  S
+ *
+ * @param {Array<Array<string|null>>} grid - Grid to draw
+ * @param {Object} constraints - { equals, notEquals }
+ * @param {Array} marked - [row, col, ...] cells to put in brackets
+ * @returns {string}
+ */
+export function renderBoard(grid, constraints, marked = []) {
+  const rows = grid.length
+  const cols = grid[0].length
+  const isMarked = (row, col) => marked.some(([r, c]) => r === row && c === col)
+
+  const edges = new Map()
+  constraints.equals.forEach(([r1, c1, r2, c2]) => edges.set(`${r1},${c1},${r2},${c2}`, '='))
+  constraints.notEquals.forEach(([r1, c1, r2, c2]) => edges.set(`${r1},${c1},${r2},${c2}`, 'x'))
+  const edgeBetween = (r1, c1, r2, c2) => edges.get(`${r1},${c1},${r2},${c2}`) || ' '
+
+  const labelWidth = String(rows).length + 2
+  const label = (text) => String(text).padStart(labelWidth - 2).padEnd(labelWidth)
+  const columnNumbers = Array.from({ length: cols }, (_, col) => String(col + 1).padStart(2).padEnd(3)).join(' ')
+  const lines = [' '.repeat(labelWidth) + columnNumbers.trimEnd()]
+
+  for (let row = 0; row < rows; row++) {
+    let line = label(row + 1)
+    for (let col = 0; col < cols; col++) {
+      const letter = SYMBOL_LETTERS[grid[row][col]] || '.'
+      line += isMarked(row, col) ? `[${letter}]` : ` ${letter} `
+      if (col < cols - 1) line += edgeBetween(row, col, row, col + 1)
+    }
+    lines.push(line.trimEnd())
+
+    if (row < rows - 1) {
+      const below = Array.from({ length: cols }, (_, col) => ` ${edgeBetween(row, col, row + 1, col)} `).join(' ')
+      if (below.trim()) lines.push((' '.repeat(labelWidth) + below).trimEnd())
+    }
+  }
+
+  return lines.join('\n')
+}
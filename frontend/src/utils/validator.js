@@ -1,100 +1,101 @@
+import { buildConstraintGraph } from './constraintGraph'
+import { findConflicts, getDimensions } from './gameLogic'
+import { formatError } from './explanations'
+
 /**
  * Validates that a puzzle starting position is valid before solving.
  * 
- * A valid starting position must:
- * - Not have more than half the grid size of any symbol in a row/column
- * - Not have 3+ consecutive identical symbols
+ * A valid starting position must (with the Tango ruleset by default):
+ * - Not have more than half the line length of any symbol in a row/column (balanced rulesets)
+ * - Not have more than maxRunLength consecutive identical symbols
+ * - Not have two identical complete rows or columns (rulesets with uniqueLines)
  * - Not violate any constraint rules
+ * - Not contain constraint cycles that cannot be satisfied (e.g. an odd number of × around a loop)
  * - Have at least some cells filled (not completely empty)
  * 
+ * Each error is an object:
+ * {
+ *   code: 'empty-grid' | 'too-many-symbols' | 'three-in-a-row' | 'duplicate-line' | 'equals-violated' |
+ *         'not-equals-violated' | 'constraint-cycle' | 'constraint-chain-violated',
+ *   params: { line, symbol, count, maxAllowed },  // Values the message is built from
+ *   message: 'Row 2 has too many suns (4 > 3)',   // English message; formatError(error, locale) for others
+ *   cells: [[row, col], ...],         // Cells that break the rule
+ *   edges: [[r1, c1, r2, c2], ...]    // Constraints involved, if any
+ * }
+ * 
  * @param {Array<Array<string|null>>} grid - The current grid state
  * @param {Object} constraints - Object with equals and notEquals arrays
- * @param {number} size - Grid size (e.g., 6)
- * @returns {Object} { isValid: boolean, errors: string[] }
+ * @param {number|Object} size - Grid size (e.g., 6, or { rows: 6, cols: 8 })
+ * @param {Object} ruleset - Ruleset to check against (see ruleset.js), Tango by default
+ * @returns {Object} { isValid: boolean, errors: Object[] }
  */
-export function validateStartingPosition(grid, constraints, size) {
+export function validateStartingPosition(grid, constraints, size, ruleset) {
   const errors = []
-  const maxAllowed = Math.floor(size / 2)
 
   // Check if grid is completely empty
   const hasAnyFilled = grid.some(row => row.some(cell => cell !== null))
   if (!hasAnyFilled) {
-    errors.push('Grid cannot be completely empty')
+    errors.push({ code: 'empty-grid', params: {}, cells: [], edges: [] })
   }
 
-  // Check each row
-  for (let row = 0; row < size; row++) {
-    const rowValues = grid[row].filter(v => v !== null)
-    const sunsInRow = rowValues.filter(v => v === 'sun').length
-    const moonsInRow = rowValues.filter(v => v === 'moon').length
-
-    if (sunsInRow > maxAllowed) {
-      errors.push(`Row ${row + 1} has too many suns (${sunsInRow} > ${maxAllowed})`)
-    }
-    if (moonsInRow > maxAllowed) {
-      errors.push(`Row ${row + 1} has too many moons (${moonsInRow} > ${maxAllowed})`)
-    }
-
-    // Check for 3+ consecutive identical symbols in row
-    for (let col = 0; col < size - 2; col++) {
-      const val1 = grid[row][col]
-      const val2 = grid[row][col + 1]
-      const val3 = grid[row][col + 2]
-      
-      if (val1 !== null && val1 === val2 && val2 === val3) {
-        errors.push(`Row ${row + 1} has 3+ consecutive ${val1 === 'sun' ? 'suns' : 'moons'} starting at column ${col + 1}`)
-      }
-    }
+  // Check rows, columns and constraints between filled cells
+  for (const { code, params, cells, edges } of findConflicts(grid, constraints, ruleset)) {
+    errors.push({ code, params, cells, edges })
   }
 
-  // Check each column
-  for (let col = 0; col < size; col++) {
-    const colValues = grid.map(r => r[col]).filter(v => v !== null)
-    const sunsInCol = colValues.filter(v => v === 'sun').length
-    const moonsInCol = colValues.filter(v => v === 'moon').length
+  // Check chains of constraints: cycles that contradict themselves, and filled
+  // cells that are linked indirectly but do not follow the chain
+  const graph = buildConstraintGraph(constraints)
+  const pathEdges = (path) => path.slice(1).map((cell, i) => {
+    const [r1, c1] = path[i]
+    const [r2, c2] = cell
+    return r1 < r2 || c1 < c2 ? [r1, c1, r2, c2] : [r2, c2, r1, c1]
+  })
 
-    if (sunsInCol > maxAllowed) {
-      errors.push(`Column ${col + 1} has too many suns (${sunsInCol} > ${maxAllowed})`)
-    }
-    if (moonsInCol > maxAllowed) {
-      errors.push(`Column ${col + 1} has too many moons (${moonsInCol} > ${maxAllowed})`)
-    }
+  for (const { constraint, cells } of graph.conflicts) {
+    errors.push({
+      code: 'constraint-cycle',
+      params: { cells },
+      cells,
+      edges: [...pathEdges(cells), constraint]
+    })
+  }
 
-    // Check for 3+ consecutive identical symbols in column
-    for (let row = 0; row < size - 2; row++) {
-      const val1 = grid[row][col]
-      const val2 = grid[row + 1][col]
-      const val3 = grid[row + 2][col]
-      
-      if (val1 !== null && val1 === val2 && val2 === val3) {
-        errors.push(`Column ${col + 1} has 3+ consecutive ${val1 === 'sun' ? 'suns' : 'moons'} starting at row ${row + 1}`)
+  if (graph.conflicts.length === 0) {
+    const filledCells = []
+    const { rows, cols } = getDimensions(size)
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (grid[row][col] !== null) filledCells.push([row, col])
       }
     }
-  }
 
-  // Check equals constraints
-  for (const [r1, c1, r2, c2] of constraints.equals) {
-    const val1 = grid[r1][c1]
-    const val2 = grid[r2][c2]
-    
-    if (val1 !== null && val2 !== null && val1 !== val2) {
-      errors.push(`Constraint violation: Cells (${r1 + 1},${c1 + 1}) and (${r2 + 1},${c2 + 1}) must be equal but have different values`)
-    }
-  }
+    for (let i = 0; i < filledCells.length; i++) {
+      for (let j = i + 1; j < filledCells.length; j++) {
+        const [r1, c1] = filledCells[i]
+        const [r2, c2] = filledCells[j]
+        const relation = graph.getRelation([r1, c1], [r2, c2])
+        if (!relation) continue
+
+        // Directly connected cells are already reported above
+        const path = graph.getPath([r1, c1], [r2, c2])
+        if (path.length <= 2) continue
 
-  // Check not-equals constraints
-  for (const [r1, c1, r2, c2] of constraints.notEquals) {
-    const val1 = grid[r1][c1]
-    const val2 = grid[r2][c2]
-    
-    if (val1 !== null && val2 !== null && val1 === val2) {
-      errors.push(`Constraint violation: Cells (${r1 + 1},${c1 + 1}) and (${r2 + 1},${c2 + 1}) must be different but have the same value`)
+        const isSame = grid[r1][c1] === grid[r2][c2]
+        if ((relation === 'same') !== isSame) {
+          errors.push({
+            code: 'constraint-chain-violated',
+            params: { path, cells: [[r1, c1], [r2, c2]], relation },
+            cells: [[r1, c1], [r2, c2]],
+            edges: pathEdges(path)
+          })
+        }
+      }
     }
   }
 
   return {
     isValid: errors.length === 0,
-    errors
+    errors: errors.map(error => ({ ...error, message: formatError(error) }))
   }
 }
-